@@ -0,0 +1,97 @@
+// lib/alerts.js
+// Raises and clears alerts from the poller's view of the feeds.
+// Alert types:
+// - fault:         a signal group reports a GRINT fault code
+// - stale:         no state change for longer than staleMs
+// - missing-state: intersection in locations but absent from the states feed
+// - orphan-state:  id in the states feed with no location
+// An alert is keyed by type + intersection id; it stays active until its condition
+// goes away, and acknowledging only marks it as seen.
+
+import { GRINT } from "../public/grint.js";
+
+const MAX_CLEARED = 200;
+
+export function createAlertEngine({ staleMs }) {
+  const active = new Map(); // key -> alert
+  const cleared = []; // most recent first
+
+  function raise(found, key, type, id, message, now) {
+    found.add(key);
+    const cur = active.get(key);
+    if (cur) {
+      cur.message = message;
+      return null;
+    }
+    const alert = {
+      key,
+      type,
+      id,
+      message,
+      raisedAt: new Date(now).toISOString(),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      clearedAt: null,
+    };
+    active.set(key, alert);
+    return alert;
+  }
+
+  // locationIds: Set of ids from the locations feed (null if not loaded yet)
+  // entries: Map id -> { id, groups }, changedAt: Map id -> ms of last change
+  function evaluate({ locationIds, entries, changedAt, now = Date.now() }) {
+    const found = new Set();
+    const raised = [];
+    const push = (a) => a && raised.push(a);
+
+    for (const [id, entry] of entries) {
+      const faulty = entry.groups.filter((g) => GRINT.isFault(g.state));
+      if (faulty.length) {
+        const list = faulty.map((g) => `${g.id}=${g.state}`).join(", ");
+        push(raise(found, `fault:${id}`, "fault", id, `Fault code on signal group(s) ${list}`, now));
+      }
+      const last = changedAt.get(id);
+      if (staleMs > 0 && last && now - last > staleMs) {
+        const mins = Math.round((now - last) / 60000);
+        push(raise(found, `stale:${id}`, "stale", id, `No state change for ${mins} min`, now));
+      }
+      if (locationIds && !locationIds.has(id)) {
+        push(raise(found, `orphan-state:${id}`, "orphan-state", id, "State received for an id with no location", now));
+      }
+    }
+    if (locationIds) {
+      for (const id of locationIds) {
+        if (!entries.has(id)) {
+          push(raise(found, `missing-state:${id}`, "missing-state", id, "Location has no state in the states feed", now));
+        }
+      }
+    }
+
+    const clearedNow = [];
+    for (const [key, alert] of active) {
+      if (found.has(key)) continue;
+      alert.clearedAt = new Date(now).toISOString();
+      active.delete(key);
+      cleared.unshift(alert);
+      clearedNow.push(alert);
+    }
+    cleared.length = Math.min(cleared.length, MAX_CLEARED);
+    return { raised, cleared: clearedNow };
+  }
+
+  function acknowledge(key, by, now = Date.now()) {
+    const alert = active.get(key);
+    if (!alert) return null;
+    alert.acknowledgedAt = new Date(now).toISOString();
+    alert.acknowledgedBy = by || null;
+    return alert;
+  }
+
+  function list({ includeCleared = false } = {}) {
+    const out = { active: [...active.values()] };
+    if (includeCleared) out.cleared = cleared;
+    return out;
+  }
+
+  return { evaluate, acknowledge, list };
+}
@@ -0,0 +1,49 @@
+// lib/cache-store.js
+// Disk persistence for the providers' last good upstream payloads, so a restart during an
+// upstream outage can still serve (bounded-stale) data instead of dropping to demo.
+// One JSON file per key; writes go through a temp file + rename and are coalesced per key.
+
+import path from "path";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+
+export function createCacheStore(dir) {
+  const pending = new Map(); // key -> latest entry waiting to be written
+  const writing = new Set();
+  const ready = mkdir(dir, { recursive: true });
+
+  const fileFor = (key) => path.join(dir, `${key.replace(/[^\w.-]+/g, "_")}.json`);
+
+  async function load(key) {
+    try {
+      return JSON.parse(await readFile(fileFor(key), "utf8"));
+    } catch {
+      return null;
+    }
+  }
+
+  async function flush(key) {
+    writing.add(key);
+    try {
+      await ready;
+      while (pending.has(key)) {
+        const entry = pending.get(key);
+        pending.delete(key);
+        const fp = fileFor(key);
+        await writeFile(`${fp}.tmp`, JSON.stringify(entry), "utf8");
+        await rename(`${fp}.tmp`, fp);
+      }
+    } catch (e) {
+      console.warn(`[cache] write error (${key}):`, e?.message || e);
+    } finally {
+      writing.delete(key);
+    }
+  }
+
+  // Only the newest entry per key is written; intermediate ones are skipped
+  function save(key, entry) {
+    pending.set(key, entry);
+    if (!writing.has(key)) flush(key);
+  }
+
+  return { load, save, dir };
+}
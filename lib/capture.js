@@ -0,0 +1,185 @@
+// lib/capture.js
+// Record and playback of raw upstream responses, so an odd feed (new JSON shape, truncated
+// CSV, wrong content type…) can be reproduced offline against the whole server and UI.
+// Both plug into lib/upstream.js (useCapture) and see every tryRemote request.
+//
+// Record: each response, network error or timeout is appended as one JSON line to
+//   <dir>/capture-<start time>.jsonl
+//   { seq, at, url, labels, ms, status, statusText, headers, encoding, body, truncated }
+//   or { seq, at, url, labels, ms, error }
+// `body` is utf8 text, or base64 (encoding: "base64") when it isn't valid UTF-8. Bodies are
+// stored whole, except past a limit: one byte past the request's own maxBytes (enough to
+// replay its "too large" failure), or maxBodyBytes for requests without one. Those are
+// stored cut off with truncated: true. The caller still gets the body as the request reads
+// it, so recording never changes live responses. Content-Encoding and Content-Length are
+// left out of the stored headers: the stored body is decoded, and may be cut.
+//
+// Playback: the captures run on a virtual clock that starts at the first capture when the
+// first request comes in, and goes `speed` times real time. A request gets the latest capture for its URL (else for its
+// provider/feed labels) at or before the clock, after the recorded latency / speed. A
+// recorded 304 is served as the body it confirmed. Past the last capture the final ones keep
+// being served, or with `loop` the clock starts over. A truncated capture is only served where
+// the request's maxBytes rejects it anyway; elsewhere it fails like a network error rather
+// than pass for the complete body.
+
+import path from "path";
+import { appendFile, mkdir, readdir, readFile, stat } from "node:fs/promises";
+
+const NULL_BODY_STATUS = new Set([101, 204, 205, 304]);
+const UNRECORDED_HEADERS = new Set(["content-encoding", "content-length"]);
+const MAX_REPLAY_DELAY_MS = 30000;
+
+function encodeBody(buf) {
+  const text = buf.toString("utf8");
+  return Buffer.byteLength(text) === buf.length && Buffer.from(text, "utf8").equals(buf)
+    ? { encoding: "utf8", body: text }
+    : { encoding: "base64", body: buf.toString("base64") };
+}
+
+function decodeBody(entry) {
+  return entry.encoding === "base64" ? Buffer.from(entry.body || "", "base64") : entry.body || "";
+}
+
+// The body, stopping once it passes `limit` bytes
+async function readCapped(r, limit) {
+  const chunks = [];
+  let size = 0;
+  if (r.body) {
+    for await (const chunk of r.body) {
+      chunks.push(chunk);
+      size += chunk.byteLength;
+      if (size > limit) break;
+    }
+  }
+  const buf = Buffer.concat(chunks);
+  return size > limit ? { buf: buf.subarray(0, limit), truncated: true } : { buf, truncated: false };
+}
+
+function toResponse(status, statusText, headers, body) {
+  return new Response(NULL_BODY_STATUS.has(status) ? null : body, { status, statusText, headers });
+}
+
+const labelKey = (labels) => `${labels?.provider}/${labels?.feed}`;
+
+export function createRecorder({ dir, maxBodyBytes = 20 * 1024 * 1024 }) {
+  const file = path.join(dir, `capture-${new Date().toISOString().replace(/[:.]/g, "-")}.jsonl`);
+  let seq = 0;
+  let writeChain = mkdir(dir, { recursive: true });
+
+  // Appends are queued so lines never interleave
+  function write(entry) {
+    writeChain = writeChain
+      .then(() => appendFile(file, JSON.stringify(entry) + "\n", "utf8"))
+      .catch((e) => console.warn("[capture] write error:", e?.message || e));
+  }
+
+  // run(): the live request; its body is read here and handed back as a fresh Response
+  async function fetch(url, { labels, maxBytes, run }) {
+    const started = Date.now();
+    const base = { seq: ++seq, at: started, url, labels };
+    let r, read;
+    try {
+      r = await run();
+      read = await readCapped(r, maxBytes ? maxBytes + 1 : Infinity);
+    } catch (e) {
+      write({ ...base, ms: Date.now() - started, error: e?.message || String(e) });
+      throw e;
+    }
+    const stored = maxBytes || read.buf.length <= maxBodyBytes
+      ? read
+      : { buf: read.buf.subarray(0, maxBodyBytes), truncated: true };
+    write({
+      ...base,
+      ms: Date.now() - started,
+      status: r.status,
+      statusText: r.statusText,
+      headers: Object.fromEntries([...r.headers].filter(([name]) => !UNRECORDED_HEADERS.has(name))),
+      ...encodeBody(stored.buf),
+      truncated: stored.truncated,
+    });
+    return toResponse(r.status, r.statusText, r.headers, read.buf);
+  }
+
+  return { mode: "record", fetch, file, status: () => ({ file, captures: seq }) };
+}
+
+// source: a capture file, or a directory (its newest capture file)
+export async function createPlayback({ source, speed = 1, loop = false }) {
+  let file = source;
+  if ((await stat(source)).isDirectory()) {
+    const names = (await readdir(source)).filter((n) => /^capture-.*\.jsonl$/.test(n)).sort();
+    if (!names.length) throw new Error(`No capture-*.jsonl files in ${source}`);
+    file = path.join(source, names[names.length - 1]);
+  }
+  const entries = (await readFile(file, "utf8"))
+    .split("\n")
+    .filter(Boolean)
+    .flatMap((line) => {
+      try { return [JSON.parse(line)]; } catch { return []; } // tolerate a torn last line
+    })
+    .sort((a, b) => a.at - b.at || a.seq - b.seq);
+  if (!entries.length) throw new Error(`${file} has no captures`);
+
+  const byUrl = new Map();
+  const byLabels = new Map();
+  for (const e of entries) {
+    if (!byUrl.has(e.url)) byUrl.set(e.url, []);
+    byUrl.get(e.url).push(e);
+    if (!byLabels.has(labelKey(e.labels))) byLabels.set(labelKey(e.labels), []);
+    byLabels.get(labelKey(e.labels)).push(e);
+  }
+  const t0 = entries[0].at;
+  const spanMs = entries[entries.length - 1].at - t0;
+  let startedAt = null;
+
+  function clock(now = Date.now()) {
+    if (startedAt === null) return t0;
+    let t = (now - startedAt) * speed;
+    if (loop && spanMs > 0) t %= spanMs + 1;
+    return t0 + t;
+  }
+
+  // Latest capture at or before t (the first one before the clock reaches it)
+  function pick(list, t) {
+    let i = 0;
+    while (i + 1 < list.length && list[i + 1].at <= t) i++;
+    // A 304 confirmed the body of the previous full response
+    if (list[i].status === 304) {
+      for (let j = i - 1; j >= 0; j--) {
+        if (list[j].status >= 200 && list[j].status < 300) return { ...list[j], ms: list[i].ms };
+      }
+    }
+    return list[i];
+  }
+
+  async function fetch(url, { labels, maxBytes }) {
+    const list = byUrl.get(url) || byLabels.get(labelKey(labels));
+    if (!list) throw new Error(`No capture for ${url}`);
+    if (startedAt === null) startedAt = Date.now();
+    const e = pick(list, clock());
+    const delay = Math.min((e.ms || 0) / speed, MAX_REPLAY_DELAY_MS);
+    if (delay > 0) await new Promise((resolve) => setTimeout(resolve, delay));
+    if (e.error) throw new Error(e.error); // "timeout" reads as a timeout in tryRemote
+    const body = decodeBody(e);
+    const size = Buffer.byteLength(body);
+    if (e.truncated && !(maxBytes && size > maxBytes)) {
+      throw new Error(`Capture ${e.seq} of ${e.url} was cut off at ${size} bytes when recorded`);
+    }
+    return toResponse(e.status, e.statusText, e.headers, body);
+  }
+
+  function status(now = Date.now()) {
+    return {
+      file,
+      speed,
+      loop,
+      captures: entries.length,
+      from: new Date(t0).toISOString(),
+      to: new Date(t0 + spanMs).toISOString(),
+      clock: new Date(Math.min(clock(now), t0 + spanMs)).toISOString(),
+      finished: !loop && clock(now) > t0 + spanMs,
+    };
+  }
+
+  return { mode: "playback", fetch, file, status };
+}
@@ -0,0 +1,85 @@
+// lib/corridors.js
+// Corridors for the green-wave view: ordered lists of intersections along one street.
+// Stored as JSON (CORRIDORS_FILE):
+//   { "corridors": [{ "id": "hameenkatu", "name": "Hämeenkatu", "speedKmh": 40,
+//                     "stops": [{ "id": "INT-1", "group": "A" }, { "id": "INT-2" }] }] }
+// `group` picks the signal group whose state the diagram draws (default: the first vehicle
+// group). `speedKmh` is the design speed of the green wave line. Until the file exists the
+// seed file (sample-data/corridors.example.json) is served; the first edit writes the file.
+
+import path from "path";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+
+const ID_RE = /^[\w-]{1,64}$/;
+
+export class CorridorError extends Error {}
+
+// Validate and fill in defaults; throws CorridorError with a message fit for a 400
+export function normalizeCorridor(raw, id = raw?.id) {
+  if (!raw || typeof raw !== "object") throw new CorridorError("Corridor must be an object");
+  if (!ID_RE.test(String(id || ""))) throw new CorridorError("Corridor id must be 1-64 letters, digits, _ or -");
+  const stops = (Array.isArray(raw.stops) ? raw.stops : []).map((s) => (typeof s === "string" ? { id: s } : s));
+  if (stops.length < 2) throw new CorridorError("A corridor needs at least two stops");
+  if (stops.some((s) => !s || !s.id)) throw new CorridorError("Every stop needs an intersection id");
+  const speedKmh = raw.speedKmh === undefined ? 40 : Number(raw.speedKmh);
+  if (!(speedKmh > 0 && speedKmh < 200)) throw new CorridorError("speedKmh must be between 0 and 200");
+  return {
+    id: String(id),
+    name: String(raw.name || id),
+    speedKmh,
+    stops: stops.map((s) => ({ id: String(s.id), ...(s.group ? { group: String(s.group) } : {}) })),
+  };
+}
+
+export function createCorridorStore({ file, seedFile }) {
+  let corridors = new Map();
+  let writeChain = Promise.resolve();
+
+  async function readList(fp) {
+    const json = JSON.parse(await readFile(fp, "utf8"));
+    return (json.corridors || []).map((c) => normalizeCorridor(c));
+  }
+
+  async function load() {
+    let list = [];
+    try {
+      list = await readList(file);
+    } catch (e) {
+      if (e.code !== "ENOENT") console.warn(`[corridors] ${file}:`, e.message);
+      if (seedFile) list = await readList(seedFile).catch(() => []);
+    }
+    corridors = new Map(list.map((c) => [c.id, c]));
+  }
+
+  // Whole-file rewrite through a temp file; saves are queued so they land in order
+  function save() {
+    const body = JSON.stringify({ corridors: [...corridors.values()] }, null, 2) + "\n";
+    writeChain = writeChain
+      .then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(`${file}.tmp`, body, "utf8");
+        await rename(`${file}.tmp`, file);
+      })
+      .catch((e) => console.warn("[corridors] write error:", e?.message || e));
+    return writeChain;
+  }
+
+  function list() {
+    return [...corridors.values()];
+  }
+
+  async function put(id, raw) {
+    const corridor = normalizeCorridor(raw, id);
+    corridors.set(corridor.id, corridor);
+    await save();
+    return corridor;
+  }
+
+  async function remove(id) {
+    if (!corridors.delete(id)) return false;
+    await save();
+    return true;
+  }
+
+  return { load, list, get: (id) => corridors.get(id) || null, put, remove, file };
+}
@@ -0,0 +1,118 @@
+// lib/export.js
+// Snapshot export of the joined intersections (server.js joinIntersections) for GIS tools.
+// Every format carries the same properties per intersection: id, provider, name, category,
+// raw GRINT code (null when the groups differ), its description, the signal groups, when the
+// state last changed and when the snapshot was taken.
+
+import { CATEGORIES, GRINT } from "../public/grint.js";
+
+// "minLon,minLat,maxLon,maxLat" (the GeoJSON bbox order) -> predicate, or null if malformed
+export function parseBBox(v) {
+  const n = String(v).split(",").map(Number);
+  if (n.length !== 4 || n.some((x) => !Number.isFinite(x))) return null;
+  const [minLon, minLat, maxLon, maxLat] = n;
+  if (minLon > maxLon || minLat > maxLat) return null;
+  return (it) => it.lon >= minLon && it.lon <= maxLon && it.lat >= minLat && it.lat <= maxLat;
+}
+
+// "A=1 (Green); B=13 (…)"-style compact group list for flat formats
+function groupsText(it, lang) {
+  return it.groups.map((g) => `${g.id}=${g.state} (${GRINT.describe(g.state, lang)})`).join("; ");
+}
+
+function properties(it, at, lang) {
+  return {
+    id: it.id,
+    provider: it.provider || null,
+    name: it.name || it.id,
+    category: it.category,
+    code: it.state,
+    description: it.state !== null ? GRINT.describe(it.state, lang) : GRINT.categoryName(it.category, lang),
+    groups: it.groups.length,
+    groupStates: groupsText(it, lang),
+    lastChangedAt: it.lastChangedAt,
+    exportedAt: at,
+  };
+}
+
+export function toGeoJSON(intersections, { at, lang = "en" }) {
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features: intersections.map((it) => ({
+      type: "Feature",
+      id: it.id,
+      geometry: { type: "Point", coordinates: [it.lon, it.lat] },
+      properties: {
+        ...properties(it, at, lang),
+        groups: it.groups.map((g) => ({ id: g.id, type: g.type, code: g.state, category: g.category, description: g.description[lang] })),
+      },
+    })),
+  });
+}
+
+const CSV_COLUMNS = ["id", "provider", "name", "lat", "lon", "category", "code", "description", "groups", "groupStates", "lastChangedAt", "exportedAt"];
+
+function csvField(v) {
+  if (v === null || v === undefined) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCSV(intersections, { at, lang = "en" }) {
+  const rows = intersections.map((it) => {
+    const p = { ...properties(it, at, lang), lat: it.lat, lon: it.lon };
+    return CSV_COLUMNS.map((c) => csvField(p[c])).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+function xmlEscape(v) {
+  return String(v ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// KML colors are aabbggrr
+function kmlColor(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => hex.slice(i, i + 2));
+  return `ff${b}${g}${r}`;
+}
+
+export function toKML(intersections, { at, lang = "en" }) {
+  const styles = [...CATEGORIES, "mixed"].map((cat) => `
+    <Style id="cat-${cat}">
+      <IconStyle>
+        <color>${kmlColor(GRINT.color(cat))}</color>
+        <Icon><href>https://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon>
+      </IconStyle>
+    </Style>`).join("");
+  const placemarks = intersections.map((it) => {
+    const p = properties(it, at, lang);
+    const data = Object.entries(p)
+      .map(([k, v]) => `<Data name="${k}"><value>${xmlEscape(v)}</value></Data>`)
+      .join("");
+    return `
+    <Placemark>
+      <name>${xmlEscape(p.name)}</name>
+      <description>${xmlEscape(`${p.description}${p.groupStates ? ` — ${p.groupStates}` : ""}`)}</description>
+      <styleUrl>#cat-${it.category}</styleUrl>
+      <ExtendedData>${data}</ExtendedData>
+      <Point><coordinates>${it.lon},${it.lat}</coordinates></Point>
+    </Placemark>`;
+  }).join("");
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Tampere traffic lights ${xmlEscape(at)}</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+export const EXPORT_FORMATS = {
+  geojson: { contentType: "application/geo+json; charset=utf-8", ext: "geojson", render: toGeoJSON },
+  csv: { contentType: "text/csv; charset=utf-8", ext: "csv", render: toCSV },
+  kml: { contentType: "application/vnd.google-earth.kml+xml; charset=utf-8", ext: "kml", render: toKML },
+};
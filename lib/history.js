@@ -0,0 +1,78 @@
+// lib/history.js
+// Append-only JSONL store of signal state transitions.
+// - One file per UTC day (history-YYYY-MM-DD.jsonl), so rotation is just a new file name
+// - Files older than the retention period are deleted on startup and once an hour
+// - Records: { id, sg, from, to, at } where from/to are GRINT codes and at is ISO time
+
+import path from "path";
+import { appendFile, mkdir, readdir, unlink } from "node:fs/promises";
+import { createReadStream } from "node:fs";
+import readline from "node:readline";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_RE = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+export function createHistoryStore({ dir, retentionDays = 7 }) {
+  let writeChain = mkdir(dir, { recursive: true });
+
+  function fileFor(day) {
+    return path.join(dir, `history-${day}.jsonl`);
+  }
+
+  // Queue writes so lines from consecutive polls never interleave
+  function record(events) {
+    if (!events.length) return writeChain;
+    const byDay = new Map();
+    for (const ev of events) {
+      const day = dayOf(Date.parse(ev.at));
+      byDay.set(day, (byDay.get(day) || "") + JSON.stringify(ev) + "\n");
+    }
+    writeChain = writeChain
+      .then(() => Promise.all([...byDay].map(([day, lines]) => appendFile(fileFor(day), lines, "utf8"))))
+      .catch((e) => console.warn("[history] write error:", e?.message || e));
+    return writeChain;
+  }
+
+  async function listDays() {
+    const names = await readdir(dir).catch(() => []);
+    return names.map((n) => FILE_RE.exec(n)?.[1]).filter(Boolean).sort();
+  }
+
+  async function prune(now = Date.now()) {
+    const cutoff = dayOf(now - retentionDays * DAY_MS);
+    for (const day of await listDays()) {
+      if (day < cutoff) await unlink(fileFor(day)).catch(() => {});
+    }
+  }
+
+  // Transitions with fromMs <= at <= toMs, oldest first, optionally for one intersection id
+  async function query({ id, fromMs, toMs, limit = 5000 }) {
+    await writeChain;
+    const first = dayOf(fromMs), last = dayOf(toMs);
+    const out = [];
+    for (const day of await listDays()) {
+      if (day < first || day > last) continue;
+      const rl = readline.createInterface({ input: createReadStream(fileFor(day), "utf8"), crlfDelay: Infinity });
+      for await (const line of rl) {
+        if (!line) continue;
+        let ev;
+        try { ev = JSON.parse(line); } catch { continue; } // tolerate a torn last line
+        if (id && ev.id !== id) continue;
+        const at = Date.parse(ev.at);
+        if (at < fromMs || at > toMs) continue;
+        out.push(ev);
+        if (out.length >= limit) {
+          rl.close();
+          return { events: out, truncated: true };
+        }
+      }
+    }
+    return { events: out, truncated: false };
+  }
+
+  return { record, query, prune, dir, retentionDays };
+}
@@ -0,0 +1,109 @@
+// lib/metrics.js
+// Minimal Prometheus text-format registry (counters, gauges, histograms with labels).
+// Instruments are module-level singletons so lib/upstream.js, lib/providers.js and
+// server.js can record into the same registry without passing it around.
+
+const instruments = [];
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels || {}).sort(([a], [b]) => (a < b ? -1 : 1)));
+}
+
+function fmtLabels(entries, extra = []) {
+  const all = [...entries, ...extra];
+  if (!all.length) return "";
+  const esc = (v) => String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+  return `{${all.map(([k, v]) => `${k}="${esc(v)}"`).join(",")}}`;
+}
+
+function fmtNum(n) {
+  if (n === Infinity) return "+Inf";
+  return Number.isFinite(n) ? String(n) : "NaN";
+}
+
+function register(inst) {
+  instruments.push(inst);
+  return inst;
+}
+
+export function counter(name, help) {
+  const values = new Map();
+  return register({
+    name, help, type: "counter",
+    inc(labels = {}, by = 1) {
+      const k = labelKey(labels);
+      values.set(k, (values.get(k) || 0) + by);
+    },
+    lines() {
+      return [...values].map(([k, v]) => `${name}${fmtLabels(JSON.parse(k))} ${fmtNum(v)}`);
+    },
+  });
+}
+
+// collect(): optional callback returning [{ labels, value }] evaluated at scrape time
+export function gauge(name, help, collect) {
+  const values = new Map();
+  return register({
+    name, help, type: "gauge",
+    set(labels, value) {
+      values.set(labelKey(labels), value);
+    },
+    lines() {
+      const rows = collect
+        ? collect().map((r) => [labelKey(r.labels), r.value])
+        : [...values];
+      return rows.map(([k, v]) => `${name}${fmtLabels(JSON.parse(k))} ${fmtNum(v)}`);
+    },
+  });
+}
+
+export function histogram(name, help, buckets) {
+  const series = new Map(); // labelKey -> { counts[], sum, count }
+  return register({
+    name, help, type: "histogram",
+    observe(labels, value) {
+      const k = labelKey(labels);
+      if (!series.has(k)) series.set(k, { counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(k);
+      buckets.forEach((b, i) => { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    lines() {
+      const out = [];
+      for (const [k, s] of series) {
+        const entries = JSON.parse(k);
+        buckets.forEach((b, i) => out.push(`${name}_bucket${fmtLabels(entries, [["le", fmtNum(b)]])} ${s.counts[i]}`));
+        out.push(`${name}_bucket${fmtLabels(entries, [["le", "+Inf"]])} ${s.count}`);
+        out.push(`${name}_sum${fmtLabels(entries)} ${s.sum}`);
+        out.push(`${name}_count${fmtLabels(entries)} ${s.count}`);
+      }
+      return out;
+    },
+  });
+}
+
+export function render() {
+  return instruments
+    .map((m) => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join("\n"))
+    .join("\n") + "\n";
+}
+
+/* ---------- shared upstream instruments ---------- */
+export const upstreamRequests = counter(
+  "trafficlights_upstream_requests_total",
+  "Upstream requests by provider, feed and outcome (ok, not_modified, http_error, too_large, timeout, error)."
+);
+export const upstreamLatency = histogram(
+  "trafficlights_upstream_request_duration_seconds",
+  "Upstream response time until headers, from fetchWithTimeout.",
+  [0.05, 0.1, 0.25, 0.5, 1, 2, 3, 5, 10]
+);
+export const upstreamTimeouts = counter(
+  "trafficlights_upstream_timeouts_total",
+  "Upstream requests aborted by the timeout."
+);
+export const backoffActivations = counter(
+  "trafficlights_upstream_backoff_activations_total",
+  "Times a feed entered its backoff window after repeated failures."
+);
@@ -0,0 +1,297 @@
+// lib/providers.js
+// An upstream provider is one locations + states feed pair with its own base URL, timeout,
+// poll interval, adapter format hint and id prefix. Each provider keeps its own cache,
+// failure counters and backoff, so one dead feed never holds back the others.
+//
+// Providers come from a JSON file (PROVIDERS_FILE):
+//   { "providers": [{ "id": "tampere", "name": "Tampere", "base": "https://…",
+//                     "locations": "/path", "states": "/path", "timeoutMs": 3000,
+//                     "pollIntervalMs": 2000, "format": "auto" | { "locations", "states" },
+//                     (format names as in public/adapters.js, e.g. "csv" or "datex2")
+//                     "idPrefix": "tre:", "demo": false,
+//                     "maxStaleMs": 300000 | { "locations", "states" } }] }
+// or, without a file, from the legacy TRAFFIC_API_BASE / LOCATIONS_URL / STATES_URL env vars.
+//
+// The last good payload per feed is persisted (when a cache store is given) and reused with
+// ETag / Last-Modified conditional requests. A cached copy older than maxStaleMs is refused.
+
+import { readFile } from "node:fs/promises";
+import { parseLocations, parseStates } from "../public/adapters.js";
+import { tryRemote } from "./upstream.js";
+import { backoffActivations } from "./metrics.js";
+
+const SAMPLE_CHARS = 2000;
+// A re-confirmed (unchanged) payload refreshes its persisted copy at most this often
+const CACHE_TOUCH_MS = 60000;
+
+function normalizeMaxStale(v, defaults) {
+  if (v === undefined || v === null) return { ...defaults };
+  if (typeof v === "number") return { locations: v, states: v };
+  return { locations: Number(v.locations ?? defaults.locations), states: Number(v.states ?? defaults.states) };
+}
+
+function normalizeFormat(f) {
+  if (!f || typeof f === "string") return { locations: f || "auto", states: f || "auto" };
+  return { locations: f.locations || "auto", states: f.states || "auto" };
+}
+
+// Fill in defaults; `defaults` carries the env-level timeout/backoff/poll settings
+export function normalizeProviderConfig(raw, defaults) {
+  if (!raw.id) throw new Error("Provider config needs an id");
+  return {
+    id: String(raw.id),
+    name: raw.name || String(raw.id),
+    base: String(raw.base || "").replace(/\/+$/, ""),
+    locations: raw.locations || "",
+    states: raw.states || "",
+    timeoutMs: Number(raw.timeoutMs || defaults.timeoutMs),
+    pollIntervalMs: Number(raw.pollIntervalMs || defaults.pollIntervalMs),
+    backoffAfterFails: Number(raw.backoffAfterFails || defaults.backoffAfterFails),
+    backoffWindowMs: Number(raw.backoffWindowMs || defaults.backoffWindowMs),
+    format: normalizeFormat(raw.format),
+    idPrefix: raw.idPrefix !== undefined ? String(raw.idPrefix) : `${raw.id}:`,
+    demo: Boolean(raw.demo),
+    maxStaleMs: normalizeMaxStale(raw.maxStaleMs, defaults.maxStaleMs),
+  };
+}
+
+export async function loadProviderConfigs(file, defaults) {
+  const json = JSON.parse(await readFile(file, "utf8"));
+  const list = (json.providers || []).map((p) => normalizeProviderConfig(p, defaults));
+  if (!list.length) throw new Error(`${file} lists no providers`);
+  const ids = new Set();
+  for (const p of list) {
+    if (ids.has(p.id)) throw new Error(`Duplicate provider id "${p.id}" in ${file}`);
+    ids.add(p.id);
+  }
+  return list;
+}
+
+// Legacy single-provider setup; ids stay un-prefixed so existing links and history keep working
+export function providerConfigFromEnv(env, defaults) {
+  return normalizeProviderConfig({
+    id: "default",
+    name: "Default",
+    base: env.TRAFFIC_API_BASE,
+    locations: env.LOCATIONS_URL,
+    states: env.STATES_URL,
+    idPrefix: "",
+    demo: defaults.demo,
+  }, defaults);
+}
+
+// demo: { locations(): data, states(now): data } used when the provider has demo enabled
+// cacheStore: optional lib/cache-store.js instance for persisting the feed caches
+export function createProvider(cfg, demo, { cacheStore } = {}) {
+  const newFeed = () => ({
+    cache: null, failCount: 0, nextTryAt: 0, fallback: false, staleRefused: false, lastOkAt: 0, lastError: null,
+    detected: null, lastOut: null, persistedAt: 0,
+  });
+  const feeds = { locations: newFeed(), states: newFeed() };
+  const cacheKey = (kind) => `${cfg.id}-${kind}`;
+
+  // Restore persisted caches; called once before the first poll
+  async function init() {
+    if (!cacheStore) return;
+    for (const kind of Object.keys(feeds)) {
+      const entry = await cacheStore.load(cacheKey(kind));
+      if (entry && entry.at) Object.assign(feeds[kind], { cache: entry, persistedAt: entry.at });
+    }
+  }
+
+  // Same payload and validators: only `at` would change on disk
+  const sameCache = (a, b) => Boolean(a) && a.contentType === b.contentType && a.etag === b.etag
+    && a.lastModified === b.lastModified && a.text === b.text && JSON.stringify(a.data) === JSON.stringify(b.data);
+
+  // A changed payload is persisted right away; one that only got re-confirmed (304, or the
+  // same body again) at most every CACHE_TOUCH_MS, instead of on every poll
+  function storeCache(kind, entry) {
+    const feed = feeds[kind];
+    const touchOnly = sameCache(feed.cache, entry);
+    feed.cache = entry;
+    if (!cacheStore || (touchOnly && entry.at - feed.persistedAt < CACHE_TOUCH_MS)) return;
+    feed.persistedAt = entry.at;
+    cacheStore.save(cacheKey(kind), entry);
+  }
+
+  const payload = (cache) => (cache.data !== undefined
+    ? { data: cache.data, contentType: cache.contentType, at: cache.at }
+    : { text: cache.text, contentType: cache.contentType, at: cache.at });
+
+  function toAbs(urlOrPath) {
+    if (!urlOrPath) return null;
+    if (/^https?:\/\//i.test(urlOrPath)) return urlOrPath;
+    if (!cfg.base) return null;
+    return `${cfg.base}/${urlOrPath.replace(/^\/+/, "")}`;
+  }
+
+  function onFail(feed, kind, error) {
+    feed.lastError = error;
+    feed.failCount++;
+    if (feed.failCount >= cfg.backoffAfterFails) {
+      backoffActivations.inc({ provider: cfg.id, feed: kind });
+      feed.nextTryAt = Date.now() + cfg.backoffWindowMs;
+      feed.failCount = 0; // reset counter for next window
+    }
+  }
+
+  function onSuccess(feed) {
+    feed.failCount = 0;
+    feed.nextTryAt = 0;
+    feed.lastOkAt = Date.now();
+    feed.lastError = null;
+  }
+
+  // Resolve one feed: remote -> cache (if not older than maxStaleMs) -> demo.
+  // Returns { source: 'remote' | 'cache' | 'demo', data?, text?, contentType, at } or null;
+  // `at` is when the payload was last confirmed upstream.
+  async function fetchFeed(kind) {
+    const feed = feeds[kind];
+    feed.fallback = false;
+    feed.staleRefused = false;
+
+    const remoteUrl = toAbs(cfg[kind]);
+    const now = Date.now();
+
+    if (remoteUrl && Date.now() >= feed.nextTryAt) {
+      const out = await tryRemote(remoteUrl, {
+        kind: `${cfg.id}/${kind}`,
+        timeoutMs: cfg.timeoutMs,
+        labels: { provider: cfg.id, feed: kind },
+        validators: feed.cache && { etag: feed.cache.etag, lastModified: feed.cache.lastModified },
+      });
+      if (out.ok && out.notModified && feed.cache) {
+        onSuccess(feed);
+        storeCache(kind, { ...feed.cache, at: now });
+        return { source: "remote", ...payload(feed.cache) };
+      }
+      if (out.ok && !out.notModified) {
+        onSuccess(feed);
+        const body = out.contentType === "application/json" ? { data: out.data } : { text: out.text };
+        storeCache(kind, {
+          ...body,
+          contentType: out.contentType,
+          at: now,
+          etag: out.etag || null,
+          lastModified: out.lastModified || null,
+        });
+        return { source: "remote", ...payload(feed.cache) };
+      }
+      if (!out.ok) {
+        console.warn(`[${cfg.id}/${kind}] upstream failed (${out.status}): ${out.error}`);
+        onFail(feed, kind, out.error);
+      }
+    }
+
+    if (feed.cache) {
+      if (now - feed.cache.at <= cfg.maxStaleMs[kind]) return { source: "cache", ...payload(feed.cache) };
+      feed.staleRefused = true;
+    }
+
+    if (cfg.demo && demo) {
+      feed.fallback = true;
+      const data = kind === "locations" ? await demo.locations() : demo.states(now);
+      return { source: "demo", data, contentType: "application/json", at: now };
+    }
+
+    return null;
+  }
+
+  const ns = (id) => `${cfg.idPrefix}${id}`;
+  const body = (out) => (out.data !== undefined ? out.data : out.text);
+
+  // Normalized, namespaced records from a fetchFeed() result.
+  // What the adapter detected (format, CSV delimiter…) is kept per feed for status(); a
+  // payload the adapter throws on yields no records, with the error in `detected.error`.
+  function parseOut(kind, parse, out) {
+    if (!out) return [];
+    const feed = feeds[kind];
+    let report = { source: out.source };
+    let list = [];
+    try {
+      list = parse(body(out), { format: cfg.format[kind], report });
+    } catch (e) {
+      console.warn(`[${cfg.id}/${kind}] parse failed: ${e.message}`);
+      report = {
+        source: out.source, format: "unknown", error: `Parse: ${e.message}`,
+        records: 0, parsed: 0, dropped: {}, droppedSamples: [],
+      };
+    }
+    feed.detected = report;
+    feed.lastOut = out;
+    return list.map((r) => ({ ...r, id: ns(r.id), provider: cfg.id }));
+  }
+
+  const parseLocationsOut = (out) => parseOut("locations", parseLocations, out);
+  const parseStatesOut = (out) => parseOut("states", parseStates, out);
+
+  function feedStatus(feed, kind) {
+    return {
+      configured: Boolean(toAbs(cfg[kind])),
+      fallback: feed.fallback,
+      cached: Boolean(feed.cache),
+      cacheAt: feed.cache ? feed.cache.at : 0,
+      cacheAgeMs: feed.cache ? Date.now() - feed.cache.at : null,
+      maxStaleMs: cfg.maxStaleMs[kind],
+      staleRefused: feed.staleRefused,
+      failCount: feed.failCount,
+      nextTryAt: feed.nextTryAt,
+      lastOkAt: feed.lastOkAt,
+      lastError: feed.lastError,
+      detected: feed.detected,
+    };
+  }
+
+  // Head of the last parsed payload, for /api/diagnostics (serialized only when asked for)
+  function rawSample(out) {
+    if (!out) return null;
+    const text = out.data !== undefined ? JSON.stringify(out.data, null, 2) : String(out.text ?? "");
+    return {
+      source: out.source,
+      contentType: out.contentType,
+      at: out.at,
+      chars: text.length,
+      truncated: text.length > SAMPLE_CHARS,
+      text: text.slice(0, SAMPLE_CHARS),
+    };
+  }
+
+  function diagnostics() {
+    const feed = (kind) => ({
+      url: toAbs(cfg[kind]),
+      formatHint: cfg.format[kind],
+      detected: feeds[kind].detected,
+      lastError: feeds[kind].lastError,
+      sample: rawSample(feeds[kind].lastOut),
+    });
+    return { id: cfg.id, name: cfg.name, locations: feed("locations"), states: feed("states") };
+  }
+
+  function status() {
+    return {
+      id: cfg.id,
+      name: cfg.name,
+      idPrefix: cfg.idPrefix,
+      base: cfg.base ? new URL(cfg.base).origin : null,
+      timeoutMs: cfg.timeoutMs,
+      pollIntervalMs: cfg.pollIntervalMs,
+      format: cfg.format,
+      demo: cfg.demo,
+      locations: feedStatus(feeds.locations, "locations"),
+      states: feedStatus(feeds.states, "states"),
+    };
+  }
+
+  return {
+    ...cfg,
+    feeds,
+    init,
+    toAbs,
+    fetchLocations: () => fetchFeed("locations"),
+    fetchStates: () => fetchFeed("states"),
+    parseLocations: parseLocationsOut,
+    parseStates: parseStatesOut,
+    status,
+    diagnostics,
+  };
+}
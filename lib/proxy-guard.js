@@ -0,0 +1,96 @@
+// lib/proxy-guard.js
+// Access control for /api/proxy, which would otherwise fetch anything under a provider's
+// base URL for anyone. A request must pass, in order:
+// - api-key:      X-API-Key header, when an API key is configured
+// - rate-limit:   at most `ratePerMinute` requests per client (fixed one-minute window)
+// - absolute-url: only paths relative to the provider base; http(s):// URLs are refused
+// - outside-base: the resolved URL must stay under the base URL (no ../ escapes)
+// - encoded-path: no segment may decode to a separator (%2F, %5C) or a dot segment (%2e%2e),
+//                 which the upstream could resolve after the allowlist check
+// - not-allowed:  the path must match one of the allowlist patterns
+// After the upstream fetch, responses whose content type is not allowed are refused too.
+//
+// Allowlist patterns are path globs: "*" matches within one segment, "**" across segments,
+// e.g. "/api/v1/**" or "/trafficlights/*.json". Query strings are not part of the match.
+
+import { timingSafeEqual } from "node:crypto";
+
+function globToRegExp(glob) {
+  const src = glob
+    .split(/(\*\*|\*)/)
+    .map((part) => (part === "**" ? ".*" : part === "*" ? "[^/]*" : part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")))
+    .join("");
+  return new RegExp(`^${src}$`);
+}
+
+// True when every path segment stays one plain segment after percent-decoding
+function plainSegments(pathname) {
+  try {
+    return pathname.split("/").map(decodeURIComponent).every((seg) => !/[/\\]/.test(seg) && seg !== "." && seg !== "..");
+  } catch {
+    return false; // malformed percent-encoding
+  }
+}
+
+// Constant-time string comparison for API keys
+export function sameKey(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && timingSafeEqual(x, y);
+}
+
+export function createProxyGuard({ allow, apiKey = "", ratePerMinute = 30, contentTypes = [] }) {
+  const patterns = allow.map((glob) => ({ glob, re: globToRegExp(glob) }));
+  const windows = new Map(); // client -> { start, count }
+
+  function rateLimited(client, now) {
+    const w = windows.get(client);
+    if (!w || now - w.start >= 60000) {
+      windows.set(client, { start: now, count: 1 });
+      return false;
+    }
+    w.count++;
+    return w.count > ratePerMinute;
+  }
+
+  // Drop finished windows so the map doesn't grow with every client ever seen
+  function sweep(now = Date.now()) {
+    for (const [client, w] of windows) if (now - w.start >= 60000) windows.delete(client);
+  }
+
+  // Returns { ok: true, url } or { ok: false, status, reason, error }
+  function check({ client, key, path, base, now = Date.now() }) {
+    if (apiKey && !(key && sameKey(key, apiKey))) {
+      return { ok: false, status: 401, reason: "api-key", error: "Missing or invalid X-API-Key" };
+    }
+    if (ratePerMinute > 0 && rateLimited(client, now)) {
+      return { ok: false, status: 429, reason: "rate-limit", error: `Rate limit is ${ratePerMinute} requests per minute` };
+    }
+    if (/^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith("//")) {
+      return { ok: false, status: 400, reason: "absolute-url", error: "Only paths relative to the provider base are proxied" };
+    }
+    if (!base) return { ok: false, status: 400, reason: "no-base", error: "Provider base URL not set" };
+
+    const baseUrl = new URL(`${base}/`);
+    const url = new URL(path.replace(/^\/+/, ""), baseUrl);
+    if (url.origin !== baseUrl.origin || !url.pathname.startsWith(baseUrl.pathname)) {
+      return { ok: false, status: 400, reason: "outside-base", error: "Path resolves outside the provider base" };
+    }
+    const rel = `/${url.pathname.slice(baseUrl.pathname.length)}`;
+    if (!plainSegments(rel)) {
+      return { ok: false, status: 400, reason: "encoded-path", error: "Encoded separators or dot segments are not proxied" };
+    }
+    if (!patterns.some((p) => p.re.test(rel))) {
+      return { ok: false, status: 403, reason: "not-allowed", error: `Path ${rel} is not on the proxy allowlist` };
+    }
+    return { ok: true, url: url.href };
+  }
+
+  function contentTypeAllowed(contentType) {
+    if (!contentTypes.length) return true;
+    const ct = String(contentType || "").toLowerCase();
+    return contentTypes.some((t) => ct.includes(t));
+  }
+
+  return { check, contentTypeAllowed, sweep, allow: patterns.map((p) => p.glob) };
+}
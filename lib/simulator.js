@@ -0,0 +1,123 @@
+// lib/simulator.js
+// Deterministic fixed-time signal plan simulator, used instead of live states in demo mode.
+// The state of every signal group is a pure function of (plan, seed, time since startMs), so
+// two runs with the same plan, seed and startMs produce the same GRINT sequence. startMs
+// defaults to now, i.e. each run starts the plan afresh; pin it to line runs up.
+//
+// Each intersection cycles through its phases in order. A phase releases a list of signal
+// groups: red/amber -> green -> amber, then the next phase. Time left over in the cycle is
+// all-red. Pedestrian groups skip red/amber and amber (green -> red).
+// offsetS shifts an intersection's cycle, which is how neighbouring signals are coordinated.
+// greenJitterS varies each green by up to ±N s per cycle (seeded), to look actuated.
+
+import { readFile } from "node:fs/promises";
+
+const DEFAULT_CODES = { red: "9", redAmber: "0", green: "1", amber: "12" };
+
+// FNV-1a string hash -> 32-bit seed
+function hash(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: one uniform [0, 1) draw per (seed, key)
+function rand(seed, key) {
+  let t = (hash(`${seed}:${key}`) + 0x6d2b79f5) >>> 0;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+function normalizePlan(raw) {
+  const d = raw.defaults || {};
+  const codes = { ...DEFAULT_CODES, ...(d.codes || {}) };
+  const intersections = (raw.intersections || []).map((it) => {
+    const phases = (it.phases || []).map((p) => ({
+      groups: (p.groups || []).map(String),
+      greenS: Number(p.greenS ?? d.greenS ?? 20),
+    }));
+    const p = {
+      id: String(it.id),
+      cycleS: Number(it.cycleS ?? d.cycleS ?? 90),
+      offsetS: Number(it.offsetS ?? 0),
+      amberS: Number(it.amberS ?? d.amberS ?? 3),
+      redAmberS: Number(it.redAmberS ?? d.redAmberS ?? 1),
+      greenJitterS: Number(it.greenJitterS ?? d.greenJitterS ?? 0),
+      groupTypes: it.groups || {},
+      phases,
+    };
+    const needed = phases.reduce((a, ph) => a + p.redAmberS + ph.greenS + p.amberS, 0);
+    if (needed > p.cycleS) {
+      throw new Error(`Signal plan ${p.id}: phases need ${needed} s but cycleS is ${p.cycleS}`);
+    }
+    return p;
+  });
+  return { seed: raw.seed ?? 1, codes, intersections };
+}
+
+export async function loadSignalPlan(file) {
+  return normalizePlan(JSON.parse(await readFile(file, "utf8")));
+}
+
+export function createSimulator(plan, { seed = plan.seed, startMs = Date.now() } = {}) {
+  if (!Number.isFinite(startMs)) throw new Error(`Simulator startMs must be epoch ms (got ${startMs})`);
+  const { codes } = plan;
+
+  // Phase windows for one cycle, with seeded green jitter that never overruns the cycle
+  function schedule(it, cycleIndex) {
+    let slack = it.cycleS - it.phases.reduce((a, ph) => a + it.redAmberS + ph.greenS + it.amberS, 0);
+    let t = 0;
+    return it.phases.map((ph, i) => {
+      let green = ph.greenS;
+      if (it.greenJitterS) {
+        const j = Math.round((rand(seed, `${it.id}:${cycleIndex}:${i}`) * 2 - 1) * it.greenJitterS);
+        const delta = Math.max(-green + 1, Math.min(j, slack));
+        green += delta;
+        slack -= delta;
+      }
+      const w = { groups: ph.groups, start: t, greenAt: t + it.redAmberS, amberAt: t + it.redAmberS + green };
+      w.end = w.amberAt + it.amberS;
+      t = w.end;
+      return w;
+    });
+  }
+
+  function groupCode(it, sg, windows, s) {
+    const pedestrian = /ped/i.test(String(it.groupTypes[sg] || ""));
+    for (const w of windows) {
+      if (!w.groups.includes(sg) || s < w.start || s >= w.end) continue;
+      if (s < w.greenAt) return pedestrian ? codes.red : codes.redAmber;
+      if (s < w.amberAt) return codes.green;
+      return pedestrian ? codes.red : codes.amber;
+    }
+    return codes.red;
+  }
+
+  // States at wall-clock `now`, in the adapters' signalGroups feed shape
+  function statesAt(now = Date.now()) {
+    const elapsedS = (now - startMs) / 1000;
+    const signalGroups = [];
+    for (const it of plan.intersections) {
+      const local = elapsedS - it.offsetS;
+      const cycleIndex = Math.floor(local / it.cycleS);
+      const s = local - cycleIndex * it.cycleS;
+      const windows = schedule(it, cycleIndex);
+      const ids = [...new Set([...Object.keys(it.groupTypes), ...it.phases.flatMap((p) => p.groups)])];
+      for (const sg of ids) {
+        signalGroups.push({
+          intersectionId: it.id,
+          sgId: sg,
+          type: it.groupTypes[sg] || "vehicle",
+          state: groupCode(it, sg, windows, s),
+        });
+      }
+    }
+    return { signalGroups };
+  }
+
+  return { statesAt, seed, startMs };
+}
@@ -0,0 +1,162 @@
+// lib/stats.js
+// Rolling per-intersection signal timing statistics, fed by the state poller.
+// Each signal group keeps the GRINT codes it was observed in over the window;
+// figures are time-weighted, so their resolution is the poll interval.
+//
+// Per group:        cycleMs, share { green, amber, red, unknown }, longestRedMs, transitions,
+//                   transitionsPerHour (code changes)
+// Per intersection: median cycle, mean share and max longest red over its groups;
+//                   transitions and transitionsPerHour count changes of its summary category
+//                   (GRINT.summarize), not the groups' changes added up
+// transitionsPerHour is null until minRateMs (capped at the window) has been observed, as a
+// few seconds of polling extrapolate to nonsense. Ids that leave the feed are forgotten.
+
+import { GRINT } from "../public/grint.js";
+
+const CATEGORIES = ["green", "amber", "red", "unknown"];
+
+const round = (x, d) => Math.round(x * 10 ** d) / 10 ** d;
+
+function median(xs) {
+  if (!xs.length) return null;
+  const s = [...xs].sort((a, b) => a - b);
+  const mid = s.length >> 1;
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+// segments: [{ code, cat, start }] sorted by start; the last one is still open at `now`
+function groupStats(segments, from, now) {
+  const time = { green: 0, amber: 0, red: 0, unknown: 0 };
+  const greenStarts = [];
+  let longestRedMs = 0, redRun = 0, transitions = 0;
+  let prevCat = null;
+
+  segments.forEach((seg, i) => {
+    const start = Math.max(seg.start, from);
+    const end = i + 1 < segments.length ? segments[i + 1].start : now;
+    if (end <= from) return;
+    const dur = end - start;
+    time[seg.cat] += dur;
+
+    if (seg.start >= from && i > 0) transitions++;
+    if (seg.cat === "green" && prevCat !== null && prevCat !== "green" && seg.start >= from) {
+      greenStarts.push(seg.start);
+    }
+    // Consecutive red codes (e.g. 9 -> 19) are one red period
+    redRun = seg.cat === "red" ? redRun + dur : 0;
+    longestRedMs = Math.max(longestRedMs, redRun);
+    prevCat = seg.cat;
+  });
+
+  const observedMs = CATEGORIES.reduce((a, c) => a + time[c], 0);
+  const cycles = greenStarts.slice(1).map((t, i) => t - greenStarts[i]);
+  const share = {};
+  for (const c of CATEGORIES) share[c] = observedMs ? round(time[c] / observedMs, 4) : 0;
+
+  return {
+    observedMs,
+    cycleMs: cycles.length ? Math.round(cycles.reduce((a, b) => a + b, 0) / cycles.length) : null,
+    cyclesObserved: cycles.length,
+    share,
+    longestRedMs,
+    transitions,
+  };
+}
+
+// Changes within [from, now] of a series whose categories need not be CATEGORIES (e.g. "mixed")
+function changes(segs, from, now) {
+  if (!segs.length) return { transitions: 0, observedMs: 0 };
+  return {
+    transitions: segs.filter((seg, i) => i > 0 && seg.start >= from).length,
+    observedMs: now - Math.max(segs[0].start, from),
+  };
+}
+
+// Appends a segment when the code changed since the last one
+function extend(segs, code, cat, at) {
+  const last = segs[segs.length - 1];
+  if (!last || last.code !== code) segs.push({ code, cat, start: at });
+  return segs;
+}
+
+// Drops segments that ended before `from`; keeps the one straddling it
+function trim(segs, from) {
+  let i = 0;
+  while (i + 1 < segs.length && segs[i + 1].start <= from) i++;
+  return i ? segs.slice(i) : segs;
+}
+
+export function createStatsTracker({ windowMs, minRateMs = 5 * 60 * 1000 }) {
+  // id -> Map(sgId -> segments[])
+  const series = new Map();
+  // id -> segments[] of the intersection's summary category
+  const summaries = new Map();
+  const rateAfterMs = Math.min(minRateMs, windowMs);
+
+  const perHour = (count, observedMs) =>
+    (observedMs >= rateAfterMs ? round(count / (observedMs / 3600000), 1) : null);
+
+  // Record one poll's worth of normalized { id, groups } entries; groups missing from an
+  // entry are forgotten
+  function observe(entries, at) {
+    for (const entry of entries) {
+      const prev = series.get(entry.id) || new Map();
+      const groups = new Map();
+      for (const g of entry.groups) {
+        groups.set(g.id, extend(prev.get(g.id) || [], g.state, GRINT.toCategory(g.state), at));
+      }
+      series.set(entry.id, groups);
+      const cat = GRINT.summarize(entry.groups);
+      summaries.set(entry.id, extend(summaries.get(entry.id) || [], cat, cat, at));
+    }
+    prune(at);
+  }
+
+  // Ids that dropped out of the feed
+  function forget(ids) {
+    for (const id of ids) {
+      series.delete(id);
+      summaries.delete(id);
+    }
+  }
+
+  function prune(now) {
+    const from = now - windowMs;
+    for (const groups of series.values()) {
+      for (const [sg, segs] of groups) groups.set(sg, trim(segs, from));
+    }
+    for (const [id, segs] of summaries) summaries.set(id, trim(segs, from));
+  }
+
+  function forIntersection(id, now = Date.now()) {
+    const groups = series.get(id);
+    if (!groups) return null;
+    const from = now - windowMs;
+    const perGroup = [...groups].map(([sg, segs]) => {
+      const st = groupStats(segs, from, now);
+      return { sg, ...st, transitionsPerHour: perHour(st.transitions, st.observedMs) };
+    });
+    const share = {};
+    for (const c of CATEGORIES) {
+      share[c] = round(perGroup.reduce((a, g) => a + g.share[c], 0) / perGroup.length, 4);
+    }
+    const summary = changes(summaries.get(id) || [], from, now);
+    const observedMs = Math.max(...perGroup.map((g) => g.observedMs));
+    return {
+      id,
+      observedMs,
+      cycleMs: median(perGroup.map((g) => g.cycleMs).filter((x) => x !== null)),
+      share,
+      longestRedMs: Math.max(...perGroup.map((g) => g.longestRedMs)),
+      transitions: summary.transitions,
+      transitionsPerHour: perHour(summary.transitions, summary.observedMs),
+      groups: perGroup,
+    };
+  }
+
+  function all(now = Date.now()) {
+    return [...series.keys()].map((id) => forIntersection(id, now));
+  }
+
+  return { observe, forget, forIntersection, all, windowMs };
+}
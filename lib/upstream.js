@@ -0,0 +1,88 @@
+// lib/upstream.js
+// Low-level upstream fetching shared by all providers and /api/proxy.
+// `labels` ({ provider, feed }) tag the request in /metrics.
+// `validators` ({ etag, lastModified }) from a cached copy turn the request into a conditional
+// one; a 304 comes back as { ok: true, notModified: true }.
+// `maxBytes` caps the response body; larger bodies fail with status 502 and `tooLarge: true`.
+// A capture (lib/capture.js, set with useCapture) records every response, or plays recorded
+// ones back in place of the network.
+
+import { upstreamLatency, upstreamRequests, upstreamTimeouts } from "./metrics.js";
+
+// Fetch with timeout + nice error
+export async function fetchWithTimeout(url, ms, labels = {}, headers = {}) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(new Error("timeout")), ms);
+  const started = performance.now();
+  try {
+    const r = await fetch(url, { signal: ctrl.signal, cache: "no-store", headers });
+    upstreamLatency.observe(labels, (performance.now() - started) / 1000);
+    return r;
+  } catch (e) {
+    if (ctrl.signal.aborted) upstreamTimeouts.inc(labels);
+    throw e;
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+let capture = null;
+
+export function useCapture(c) {
+  capture = c;
+}
+
+class TooLargeError extends Error {}
+
+// Body as text, giving up as soon as it grows past maxBytes
+async function readText(r, maxBytes) {
+  if (!maxBytes) return r.text();
+  if (Number(r.headers.get("content-length")) > maxBytes) throw new TooLargeError();
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of r.body) {
+    size += chunk.byteLength;
+    if (size > maxBytes) throw new TooLargeError();
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+// Remote getter with JSON/text handling
+export async function tryRemote(url, { kind, timeoutMs, labels = { provider: "-", feed: kind }, validators, maxBytes }) {
+  const headers = {};
+  if (validators?.etag) headers["If-None-Match"] = validators.etag;
+  if (validators?.lastModified) headers["If-Modified-Since"] = validators.lastModified;
+  try {
+    const run = () => fetchWithTimeout(url, timeoutMs, labels, headers);
+    const r = capture ? await capture.fetch(url, { labels, maxBytes, run }) : await run();
+    if (r.status === 304) {
+      upstreamRequests.inc({ ...labels, outcome: "not_modified" });
+      return { ok: true, notModified: true };
+    }
+    const meta = { etag: r.headers.get("etag"), lastModified: r.headers.get("last-modified") };
+    if (!r.ok) {
+      upstreamRequests.inc({ ...labels, outcome: "http_error" });
+      const txt = await readText(r, maxBytes).catch(() => "");
+      return { ok: false, status: r.status, error: `Upstream ${r.status}`, text: txt };
+    }
+    const ct = (r.headers.get("content-type") || "").toLowerCase();
+    if (ct.includes("application/json") || ct.includes("+json")) {
+      const data = JSON.parse(await readText(r, maxBytes));
+      upstreamRequests.inc({ ...labels, outcome: "ok" });
+      return { ok: true, data, contentType: "application/json", ...meta };
+    }
+    const text = await readText(r, maxBytes);
+    upstreamRequests.inc({ ...labels, outcome: "ok" });
+    return { ok: true, text, contentType: ct || "text/plain; charset=utf-8", ...meta };
+  } catch (e) {
+    if (e instanceof TooLargeError) {
+      upstreamRequests.inc({ ...labels, outcome: "too_large" });
+      return { ok: false, status: 502, tooLarge: true, error: `Upstream response exceeds ${maxBytes} bytes` };
+    }
+    const timedOut = e?.message === "timeout" || e?.name === "TimeoutError";
+    upstreamRequests.inc({ ...labels, outcome: timedOut ? "timeout" : "error" });
+    console.warn(`[${kind}] fetch error:`, e?.name || "", e?.message || e);
+    return { ok: false, status: 502, error: String(e) };
+  }
+}
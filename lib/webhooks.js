@@ -0,0 +1,347 @@
+// lib/webhooks.js
+// Webhook subscriptions for intersection state events, evaluated against the poller's states.
+// A subscription is { id, url, secret, description, filter, createdAt } where
+//   filter: { ids: [...] (empty = all), category: "red"|…, faultCodes: ["16", …], minDurationMs }
+// Each signal group of the selected intersections is matched on its own, while it is in
+// `category` or shows one of `faultCodes` ("*" = any GRINT fault code), so "red for 90 s"
+// means one group stayed red that long. Once a group's match has held for minDurationMs an
+// "intersection.matched" event is POSTed for it (`group` in the payload); when that group's
+// match ends after that, "intersection.cleared".
+// Deliveries are signed (X-Webhook-Signature: sha256=HMAC(secret, "<timestamp>.<body>")),
+// retried with exponential backoff on network errors, 408, 429 and 5xx, and kept in a
+// per-subscription log (newest first, in memory). Subscriptions persist in SUBSCRIPTIONS_FILE.
+// Targets on loopback, link-local (cloud metadata) and private addresses are refused, both as
+// written in the url and as the host name resolves at delivery time, unless the host is in
+// `allowHosts`; redirects are not followed.
+
+import path from "path";
+import { createHmac, randomBytes, randomUUID } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { CATEGORIES, GRINT } from "../public/grint.js";
+import { counter } from "./metrics.js";
+
+const deliveriesTotal = counter(
+  "trafficlights_webhook_deliveries_total",
+  "Webhook delivery attempts, by outcome (delivered, retry, failed)."
+);
+
+export class SubscriptionError extends Error {}
+
+function isRetryable(status) {
+  return !status || status === 408 || status === 429 || status >= 500;
+}
+
+const PRIVATE_NETS = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8],
+  ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16],
+]) PRIVATE_NETS.addSubnet(net, prefix, "ipv4");
+for (const [net, prefix] of [["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10]]) {
+  PRIVATE_NETS.addSubnet(net, prefix, "ipv6");
+}
+
+// Loopback, link-local, private or unspecified IP address (IPv4-mapped IPv6 included)
+export function isPrivateAddress(ip) {
+  const family = isIP(ip);
+  return family !== 0 && PRIVATE_NETS.check(ip, family === 4 ? "ipv4" : "ipv6");
+}
+
+// URL host without IPv6 brackets, lower-cased
+const bareHost = (url) => url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+// The first refused address `url` resolves to, or null when it may be posted to
+async function refusedAddress(url, allowHosts) {
+  const host = bareHost(new URL(url));
+  if (allowHosts.includes(host)) return null;
+  const addresses = isIP(host) ? [host] : (await lookup(host, { all: true })).map((a) => a.address);
+  return addresses.find(isPrivateAddress) || null;
+}
+
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Validate a create/update body; `prev` supplies the id, secret and createdAt on updates.
+// Throws SubscriptionError with a message fit for a 400.
+export function normalizeSubscription(raw, prev = null, { allowHosts = [] } = {}) {
+  if (!raw || typeof raw !== "object") throw new SubscriptionError("Subscription must be an object");
+  let url;
+  try {
+    url = new URL(String(raw.url || ""));
+  } catch {
+    throw new SubscriptionError("url must be an absolute http(s) URL");
+  }
+  if (!/^https?:$/.test(url.protocol)) throw new SubscriptionError("url must be an absolute http(s) URL");
+  const host = bareHost(url);
+  if (!allowHosts.includes(host) && (isPrivateAddress(host) || host === "localhost" || host.endsWith(".localhost"))) {
+    throw new SubscriptionError(`url host ${host} is a loopback, link-local or private address and not allowlisted`);
+  }
+
+  const f = raw.filter || {};
+  const ids = (Array.isArray(f.ids) ? f.ids : []).map(String).filter(Boolean);
+  const category = f.category ? String(f.category) : null;
+  if (category && !CATEGORIES.includes(category)) {
+    throw new SubscriptionError(`filter.category must be one of ${CATEGORIES.join(", ")}`);
+  }
+  const faultCodes = (Array.isArray(f.faultCodes) ? f.faultCodes : [])
+    .map((c) => (String(c).trim() === "*" ? "*" : GRINT.normalize(c)));
+  if (faultCodes.some((c) => c !== "*" && !GRINT.lookup(c))) {
+    throw new SubscriptionError("filter.faultCodes must be GRINT codes or \"*\"");
+  }
+  if (!category && !faultCodes.length) {
+    throw new SubscriptionError("filter needs a category or faultCodes");
+  }
+  const minDurationMs = f.minDurationMs === undefined ? 0 : Number(f.minDurationMs);
+  if (!(minDurationMs >= 0)) throw new SubscriptionError("filter.minDurationMs must be >= 0");
+
+  const secret = raw.secret ? String(raw.secret) : prev?.secret || randomBytes(32).toString("hex");
+  return {
+    id: prev?.id || randomUUID(),
+    url: url.toString(),
+    secret,
+    description: String(raw.description || prev?.description || ""),
+    filter: { ids, category, faultCodes, minDurationMs },
+    createdAt: prev?.createdAt || new Date().toISOString(),
+  };
+}
+
+// What the API shows: the secret is only returned when a subscription is created
+export function publicSubscription(sub) {
+  const { secret: _secret, ...rest } = sub;
+  return rest;
+}
+
+const inScope = (filter, entry) => !filter.ids.length || filter.ids.includes(entry.id);
+
+function groupMatches(filter, g) {
+  return (filter.category && GRINT.toCategory(g.state) === filter.category)
+    || filter.faultCodes.includes(GRINT.normalize(g.state))
+    || (filter.faultCodes.includes("*") && GRINT.isFault(g.state));
+}
+
+const groupInfo = (g) => ({ id: g.id, type: g.type, code: g.state, category: GRINT.toCategory(g.state) });
+
+// allowHosts: host names or IP addresses (lower case) that may be private, e.g. an
+// internal receiver
+export function createWebhookService({
+  file, allowHosts = [], maxAttempts = 5, retryBaseMs = 2000, timeoutMs = 5000, logSize = 50,
+}) {
+  let subscriptions = new Map();
+  const matches = new Map(); // subscription id -> Map intersection id -> { since, fired, groups }
+  const logs = new Map(); // subscription id -> deliveries, newest first
+  let writeChain = Promise.resolve();
+  // Stored entries that no longer validate; kept as they are and written back on save
+  let skipped = [];
+  // Set when the file exists but can't be read; saving would then replace it
+  let loadFailed = false;
+
+  async function load() {
+    let stored;
+    try {
+      const json = JSON.parse(await readFile(file, "utf8"));
+      stored = json.subscriptions || [];
+      if (!Array.isArray(stored)) throw new Error("subscriptions is not an array");
+    } catch (e) {
+      if (e.code === "ENOENT") return;
+      loadFailed = true;
+      console.warn(`[webhooks] ${file}: ${e.message}; changes will not be saved`);
+      return;
+    }
+    subscriptions = new Map();
+    skipped = [];
+    for (const s of stored) {
+      try {
+        const sub = normalizeSubscription(s, s, { allowHosts });
+        subscriptions.set(sub.id, sub);
+      } catch (e) {
+        skipped.push(s);
+        console.warn(`[webhooks] ${file}: skipping subscription ${s?.id ?? "(no id)"}: ${e.message}`);
+      }
+    }
+  }
+
+  // Called before any change, so a file that failed to load is never overwritten
+  function assertWritable() {
+    if (loadFailed) throw new Error(`${file} could not be loaded; fix or remove it and restart to save changes`);
+  }
+
+  // Whole-file rewrite through a temp file; saves are queued so they land in order
+  function save() {
+    const body = JSON.stringify({ subscriptions: [...subscriptions.values(), ...skipped] }, null, 2) + "\n";
+    writeChain = writeChain
+      .then(async () => {
+        await mkdir(path.dirname(file), { recursive: true });
+        await writeFile(`${file}.tmp`, body, { encoding: "utf8", mode: 0o600 });
+        await rename(`${file}.tmp`, file);
+      })
+      .catch((e) => console.warn("[webhooks] write error:", e?.message || e));
+    return writeChain;
+  }
+
+  async function create(raw) {
+    assertWritable();
+    const sub = normalizeSubscription(raw, null, { allowHosts });
+    subscriptions.set(sub.id, sub);
+    await save();
+    return sub;
+  }
+
+  async function update(id, raw) {
+    const prev = subscriptions.get(id);
+    if (!prev) return null;
+    assertWritable();
+    const sub = normalizeSubscription(raw, prev, { allowHosts });
+    subscriptions.set(id, sub);
+    matches.delete(id); // the filter may have changed: start matching afresh
+    await save();
+    return sub;
+  }
+
+  async function remove(id) {
+    if (!subscriptions.has(id)) return false;
+    assertWritable();
+    subscriptions.delete(id);
+    matches.delete(id);
+    logs.delete(id);
+    await save();
+    return true;
+  }
+
+  function logDelivery(subId, delivery) {
+    if (!logs.has(subId)) logs.set(subId, []);
+    const log = logs.get(subId);
+    log.unshift(delivery);
+    log.length = Math.min(log.length, logSize);
+  }
+
+  async function attempt(sub, delivery, body) {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const started = Date.now();
+    const record = { at: new Date(started).toISOString(), status: null, error: null, ms: 0 };
+    delivery.attempts.push(record);
+    let refused = null;
+    try {
+      // Checked on every attempt, as the name may resolve elsewhere than when it was saved;
+      // resolution failures are left to fetch, which reports (and retries) them as usual
+      refused = await refusedAddress(sub.url, allowHosts).catch(() => null);
+      if (refused) throw new Error(`refused: ${refused} is a loopback, link-local or private address`);
+      const r = await fetch(sub.url, {
+        method: "POST",
+        redirect: "manual",
+        signal: AbortSignal.timeout(timeoutMs),
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "tampere-trafficlights-webhooks",
+          "X-Webhook-Id": delivery.id,
+          "X-Webhook-Event": delivery.event,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": signPayload(sub.secret, timestamp, body),
+        },
+        body,
+      });
+      record.status = r.status;
+      await r.arrayBuffer().catch(() => {});
+      if (!r.ok) record.error = `HTTP ${r.status}`;
+    } catch (e) {
+      record.error = e?.name === "TimeoutError" ? "timeout" : String(e?.cause?.code || e?.message || e);
+    }
+    record.ms = Date.now() - started;
+
+    if (!record.error) {
+      delivery.status = "delivered";
+      delivery.deliveredAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+      deliveriesTotal.inc({ outcome: "delivered" });
+      return;
+    }
+    // A subscription deleted meanwhile stops retrying
+    if (!refused && isRetryable(record.status) && delivery.attempts.length < maxAttempts && subscriptions.has(sub.id)) {
+      const delay = retryBaseMs * 2 ** (delivery.attempts.length - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      deliveriesTotal.inc({ outcome: "retry" });
+      setTimeout(() => attempt(subscriptions.get(sub.id) || sub, delivery, body), delay).unref();
+      return;
+    }
+    delivery.status = "failed";
+    delivery.nextAttemptAt = null;
+    deliveriesTotal.inc({ outcome: "failed" });
+    console.warn(`[webhooks] delivery ${delivery.id} to ${sub.url} failed: ${record.error}`);
+  }
+
+  function deliver(sub, event, payload) {
+    const delivery = {
+      id: randomUUID(),
+      event,
+      intersectionId: payload.intersection?.id || null,
+      status: "pending",
+      createdAt: new Date().toISOString(),
+      deliveredAt: null,
+      nextAttemptAt: null,
+      attempts: [],
+    };
+    logDelivery(sub.id, delivery);
+    const body = JSON.stringify({ id: delivery.id, event, subscriptionId: sub.id, ...payload });
+    attempt(sub, delivery, body);
+    return delivery;
+  }
+
+  // entries: Map id -> { id, provider, groups } (the poller's latest states); call after each poll
+  function evaluate(entries, now = Date.now()) {
+    for (const sub of subscriptions.values()) {
+      if (!matches.has(sub.id)) matches.set(sub.id, new Map());
+      const open = matches.get(sub.id); // "<intersection id>\n<group id>" -> { id, sg, since, fired, group }
+      for (const entry of entries.values()) {
+        if (!inScope(sub.filter, entry)) continue;
+        for (const g of entry.groups) {
+          if (!groupMatches(sub.filter, g)) continue;
+          const key = `${entry.id}\n${g.id}`;
+          const cur = open.get(key);
+          if (!cur) open.set(key, { id: entry.id, sg: g.id, since: now, fired: false, group: groupInfo(g) });
+          else cur.group = groupInfo(g);
+        }
+      }
+      for (const [key, m] of open) {
+        const entry = entries.get(m.id);
+        const g = entry && inScope(sub.filter, entry) ? entry.groups.find((x) => x.id === m.sg) : null;
+        const intersection = entry
+          ? { id: m.id, provider: entry.provider || null, category: GRINT.summarize(entry.groups), groups: entry.groups.map(groupInfo) }
+          : { id: m.id, provider: null, category: "unknown", groups: [] };
+        const event = () => ({
+          at: new Date(now).toISOString(),
+          since: new Date(m.since).toISOString(),
+          durationMs: now - m.since,
+          intersection,
+          group: m.group,
+        });
+        if (!g || !groupMatches(sub.filter, g)) {
+          open.delete(key);
+          if (m.fired) deliver(sub, "intersection.cleared", { ...event(), group: g ? groupInfo(g) : m.group });
+        } else if (!m.fired && now - m.since >= sub.filter.minDurationMs) {
+          m.fired = true;
+          deliver(sub, "intersection.matched", event());
+        }
+      }
+    }
+  }
+
+  // Signed "ping" to check the receiving end
+  function test(id) {
+    const sub = subscriptions.get(id);
+    return sub ? deliver(sub, "ping", { at: new Date().toISOString() }) : null;
+  }
+
+  return {
+    load,
+    list: () => [...subscriptions.values()],
+    get: (id) => subscriptions.get(id) || null,
+    create,
+    update,
+    remove,
+    deliveries: (id) => logs.get(id) || [],
+    evaluate,
+    test,
+    file,
+  };
+}
@@ -1,92 +1,329 @@
 // Adapters parse whatever the upstream returns into a common format the UI expects.
+// ES module: loaded by the browser as <script type="module"> and imported by server.js.
 
 // Expected normalized shapes:
 //
 // Locations -> Array<{ id: string, name?: string, lat: number, lon: number }>
-// States    -> Array<{ id: string, state: string }> where state is GRINT code (as string)
+// States    -> Array<{ id: string, state: string | null, groups: SignalGroup[] }>
+//   SignalGroup = { id: string, type: string, state: string } (state is GRINT code, as string)
+//   An intersection owns one or more signal groups (vehicle approaches, crossings, bike lanes…).
+//   `state` is the code shared by all groups, or null when the groups differ.
+//   Flat feeds ({ id, state } per intersection) become a single group with the intersection id.
 //
 // We try a few common patterns (GeoJSON, flat arrays, mappings) and fall back.
+// An optional { format } hint restricts parsing to one pattern (names below); "auto" tries all.
+//   Locations: geojson | array | csv | datex2
+//   States:    normalized | flat | nested | signalGroups | map | csv | datex2
+// CSV may be comma, semicolon, tab or pipe delimited, with quoted fields and decimal commas.
+// An optional { report } object is filled with what was detected:
+//   { format, delimiter?, decimalComma? (csv), root? (datex2), error?,
+//     records, parsed, dropped: { [reason]: count }, droppedSamples: [{ reason, record }] }
+// so callers can show which pattern matched, and why records went missing, instead of it
+// being a silent guess. Drop reasons: missing-id, bad-coordinates, invalid-record (an entry
+// that is not an object at all, e.g. null in a JSON array).
 
-function parseLocations(raw) {
+import { findAll, findFirst, looksLikeCSV, looksLikeXML, parseCSV, parseXML, toNumber } from "./formats.js";
+
+const want = (hint, name) => !hint || hint === "auto" || hint === name;
+
+function detected(report, format, extra = {}) {
+  if (report) Object.assign(report, { format, records: 0, parsed: 0, dropped: {}, droppedSamples: [] }, extra);
+}
+
+const MAX_DROPPED_SAMPLES = 5;
+
+const isRecord = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+// Stand-in for an upstream entry that is not an object, so it reaches sift() as an
+// "invalid-record" drop instead of a property read on it throwing
+const INVALID = Symbol("invalid-record");
+const invalid = (record) => ({ [INVALID]: true, record });
+
+// Keep the records `reasonOf` has no objection to; count the rest per reason in the report
+function sift(records, reasonOf, report) {
+  const kept = records.filter(r => {
+    const reason = r[INVALID] ? "invalid-record" : reasonOf(r);
+    if (!reason) return true;
+    if (report) {
+      report.dropped[reason] = (report.dropped[reason] || 0) + 1;
+      if (report.droppedSamples.length < MAX_DROPPED_SAMPLES) report.droppedSamples.push({ reason, record: r[INVALID] ? r.record : r });
+    }
+    return false;
+  });
+  if (report) Object.assign(report, { records: records.length, parsed: kept.length });
+  return kept;
+}
+
+// First non-empty candidate as a string id; "" when there is none
+function idOf(...candidates) {
+  const hit = candidates.find(v => v !== undefined && v !== null && String(v).trim() !== "");
+  return hit === undefined ? "" : String(hit).trim();
+}
+
+const locationProblem = (p) =>
+  !p.id ? "missing-id" : !(Number.isFinite(p.lat) && Number.isFinite(p.lon)) ? "bad-coordinates" : null;
+
+// CSV text -> { headers, rows, decimalComma, col(names) -> column index or -1 }
+function readCSV(raw, report) {
+  const csv = parseCSV(raw);
+  detected(report, "csv", { delimiter: csv.delimiter, decimalComma: csv.decimalComma });
+  return { ...csv, col: (names) => csv.headers.findIndex(h => names.includes(h)) };
+}
+
+// Trimmed CSV field, or undefined when the column is missing or the row is short
+const cell = (cols, i) => (i >= 0 && cols[i] !== undefined ? cols[i].trim() : undefined);
+
+// XML text -> element tree, or null (reported) when it doesn't parse
+function readXML(raw, report) {
+  try {
+    const doc = parseXML(raw);
+    detected(report, "datex2", { root: doc.children[0] ? doc.children[0].local : null });
+    return doc;
+  } catch (e) {
+    detected(report, "unknown", { error: `XML: ${e.message}` });
+    return null;
+  }
+}
+
+// DATEX II multilingual text: <values><value lang="fi">…</value></values>, Finnish first
+function datexText(el, lang = "fi") {
+  if (!el) return "";
+  const values = findAll(el, "value");
+  const hit = values.find(v => v.attrs.lang === lang) || values[0];
+  return (hit ? hit.text : el.text).trim();
+}
+
+// DATEX II reference: id attribute (v2/v3 "…Reference id=") or the element text
+const refId = (el) => (el ? (el.attrs.id || el.text).trim() : "");
+
+// DATEX II location records: the outermost elements with an id attribute that contain
+// coordinates, e.g. <predefinedLocation id=…> or <measurementSiteRecord id=…> with
+// <pointCoordinates><latitude/><longitude/></pointCoordinates> somewhere inside.
+function datexLocations(doc) {
+  const out = [];
+  const walk = (el) => {
+    for (const c of el.children) {
+      const lat = c.attrs.id ? findFirst(c, "latitude") : null;
+      const lon = lat ? findFirst(c, "longitude") : null;
+      if (lat && lon) {
+        out.push({
+          id: c.attrs.id,
+          name: datexText(findFirst(c, /Name$/)) || `Intersection ${c.attrs.id}`,
+          lat: toNumber(lat.text),
+          lon: toNumber(lon.text)
+        });
+      } else {
+        walk(c);
+      }
+    }
+  };
+  walk(doc);
+  return out;
+}
+
+const DATEX_STATE_RECORD = /^(trafficSignal|signalGroup|signal)(Status|State)(Record)?$/i;
+const DATEX_OWNER = /intersection|controller|site|location/i;
+const DATEX_OWNER_REF = /^(intersection|controller|trafficSignalController|site|measurementSite|predefinedLocation)Reference$/i;
+const DATEX_GROUP_REF = /^signalGroup(Reference|Id|Identifier|Number)?$/i;
+const DATEX_STATE = /^(grint|grintCode|signalState|signalGroupState|state|status|code)$/i;
+
+// DATEX II signal status records. The intersection comes from an owner reference inside the
+// record, else from the nearest enclosing controller/intersection/site element with an id;
+// the group from a signalGroup reference, else the record's own id.
+function datexStates(doc) {
+  const records = [];
+  const walk = (el, ownerId) => {
+    for (const c of el.children) {
+      if (DATEX_STATE_RECORD.test(c.local)) {
+        const stateEl = c.children.find(k => DATEX_STATE.test(k.local));
+        const intersectionId = refId(findFirst(c, DATEX_OWNER_REF)) || ownerId || c.attrs.id;
+        const groupId = refId(findFirst(c, DATEX_GROUP_REF)) || (intersectionId !== c.attrs.id ? c.attrs.id : undefined);
+        if (intersectionId) {
+          records.push({
+            intersectionId,
+            groupId,
+            type: c.attrs.type || (findFirst(c, /^(signalGroupType|groupType)$/) || {}).text,
+            state: stateEl ? stateEl.text.trim() : ""
+          });
+        }
+      } else {
+        walk(c, c.attrs.id && DATEX_OWNER.test(c.local) ? c.attrs.id : ownerId);
+      }
+    }
+  };
+  walk(doc, undefined);
+  return records;
+}
+
+export function parseLocations(raw, { format, report } = {}) {
   // GeoJSON FeatureCollection
-  if (raw && raw.type === "FeatureCollection" && Array.isArray(raw.features)) {
-    return raw.features.map((f, idx) => {
-      const [lon, lat] = (f.geometry && f.geometry.coordinates) || [0,0];
+  if (want(format, "geojson") && raw && raw.type === "FeatureCollection" && Array.isArray(raw.features)) {
+    detected(report, "geojson");
+    return sift(raw.features.map(f => {
+      if (!isRecord(f)) return invalid(f);
+      const [lon, lat] = (f.geometry && f.geometry.coordinates) || [];
       const props = f.properties || {};
-      const id = String(props.id || props.intersectionId || props.sgId || idx);
+      const id = idOf(props.id, props.intersectionId, props.sgId, f.id);
       const name = props.name || props.Intersection || `Intersection ${id}`;
-      return { id, name, lat: Number(lat), lon: Number(lon) };
-    }).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+      return { id, name, lat: toNumber(lat), lon: toNumber(lon) };
+    }), locationProblem, report);
   }
 
   // Array of objects with lat/lon
-  if (Array.isArray(raw)) {
-    return raw.map((o, idx) => ({
-      id: String(o.id || o.intersectionId || o.sgId || idx),
+  if (want(format, "array") && Array.isArray(raw)) {
+    detected(report, "array");
+    return sift(raw.map((o, idx) => (isRecord(o) ? {
+      id: idOf(o.id, o.intersectionId, o.sgId),
       name: o.name || o.label || `Intersection ${idx}`,
-      lat: Number(o.lat || o.latitude || (o.location && o.location.lat)),
-      lon: Number(o.lon || o.lng || o.longitude || (o.location && o.location.lon))
-    })).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+      lat: toNumber(o.lat ?? o.latitude ?? (o.location && o.location.lat)),
+      lon: toNumber(o.lon ?? o.lng ?? o.longitude ?? (o.location && o.location.lon)),
+      ...(o.provider ? { provider: String(o.provider) } : {})
+    } : invalid(o))), locationProblem, report);
   }
 
-  // CSV text?
-  if (typeof raw === "string" && raw.includes(",")) {
-    // naive CSV parser (expects headers id,lat,lon or similar)
-    const [headerLine, ...lines] = raw.split(/\r?\n/).filter(Boolean);
-    const headers = headerLine.split(",").map(h => h.trim().toLowerCase());
-    const idxId = headers.findIndex(h => ["id","intersectionid","sgid"].includes(h));
-    const idxLat = headers.findIndex(h => ["lat","latitude","y"].includes(h));
-    const idxLon = headers.findIndex(h => ["lon","lng","longitude","x"].includes(h));
-    const idxName = headers.findIndex(h => ["name","label","intersection"].includes(h));
-    return lines.map((line, i) => {
-      const cols = line.split(",");
-      return {
-        id: String(idxId >= 0 ? cols[idxId] : i),
-        name: idxName >= 0 ? cols[idxName] : `Intersection ${i}`,
-        lat: Number(idxLat >= 0 ? cols[idxLat] : NaN),
-        lon: Number(idxLon >= 0 ? cols[idxLon] : NaN)
-      };
-    }).filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+  // DATEX II (or other XML with id'd records holding latitude/longitude)
+  if (want(format, "datex2") && looksLikeXML(raw)) {
+    const doc = readXML(raw, report);
+    if (!doc) return [];
+    return sift(datexLocations(doc), locationProblem, report);
   }
 
+  // CSV text (expects headers id,lat,lon or similar)
+  if (want(format, "csv") && looksLikeCSV(raw)) {
+    const { rows, decimalComma, col } = readCSV(raw, report);
+    const idxId = col(["id","intersectionid","sgid"]);
+    const idxLat = col(["lat","latitude","y"]);
+    const idxLon = col(["lon","lng","longitude","x"]);
+    const idxName = col(["name","label","intersection"]);
+    return sift(rows.map((cols, i) => ({
+      id: idOf(cell(cols, idxId)),
+      name: cell(cols, idxName) || `Intersection ${i}`,
+      lat: toNumber(cell(cols, idxLat), decimalComma),
+      lon: toNumber(cell(cols, idxLon), decimalComma)
+    })), locationProblem, report);
+  }
+
+  detected(report, "unknown");
   return [];
 }
 
-function parseStates(raw) {
-  // Already in normalized shape?
-  if (Array.isArray(raw) && raw.length && raw[0].id !== undefined && raw[0].state !== undefined) {
-    return raw.map(r => ({ id: String(r.id), state: String(r.state) }));
+const GROUP_TYPES = [
+  ["pedestrian", /pedestrian|walk|jalankulk|^ped$|^p$/i],
+  ["bicycle", /bicycle|bike|cycl|pyör|^bic$|^b$/i],
+  ["tram", /tram|raitio|^r$/i],
+  ["bus", /bus|^joukkoliik/i],
+  ["vehicle", /vehicle|car|ajoneuvo|^veh$|^v$|^k$/i],
+];
+
+// Map the many spellings of a signal group type onto a small fixed set
+export function normalizeGroupType(t) {
+  const s = String(t || "").trim();
+  if (!s) return "unknown";
+  const hit = GROUP_TYPES.find(([, re]) => re.test(s));
+  return hit ? hit[0] : "unknown";
+}
+
+// Build intersections out of flat { intersectionId, groupId, type, state } records,
+// keeping first-seen order for both intersections and their groups. Records without an
+// intersection id are dropped (and counted in the report).
+function groupStates(records, report) {
+  const byId = new Map();
+  for (const r of sift(records, r => (idOf(r.intersectionId) ? null : "missing-id"), report)) {
+    const id = String(r.intersectionId);
+    if (!byId.has(id)) byId.set(id, { id, state: null, groups: [] });
+    byId.get(id).groups.push({
+      id: String(r.groupId ?? id),
+      type: normalizeGroupType(r.type),
+      state: String(r.state ?? "")
+    });
+  }
+  for (const it of byId.values()) {
+    const codes = new Set(it.groups.map(g => g.state));
+    it.state = codes.size === 1 ? it.groups[0].state : null;
+  }
+  return [...byId.values()];
+}
+
+function groupRecord(o) {
+  if (!isRecord(o)) return invalid(o);
+  return {
+    intersectionId: o.intersectionId ?? o.intersection ?? o.id ?? o.sgId,
+    groupId: o.sgId ?? o.signalGroupId ?? o.group ?? (o.intersectionId !== undefined ? o.id : undefined),
+    type: o.type ?? o.groupType ?? o.sgType,
+    state: o.state ?? o.grint ?? o.code ?? ""
+  };
+}
+
+export function parseStates(raw, { format, report } = {}) {
+  // Array feeds are recognized by their first object entry
+  const first = Array.isArray(raw) ? raw.find(isRecord) : undefined;
+
+  // Already normalized (with groups), e.g. re-parsing our own /api/v1 output
+  if (want(format, "normalized") && first && Array.isArray(first.groups)) {
+    detected(report, "normalized");
+    return groupStates(raw.flatMap(it => (!isRecord(it) ? [invalid(it)] :
+      [].concat(it.groups || []).map(g => (isRecord(g) ? {
+        intersectionId: it.id, groupId: g.id, type: g.type, state: g.state
+      } : invalid(g))))
+    ), report);
+  }
+
+  // Flat array of { id, state } or { intersectionId, sgId, state } records
+  if (want(format, "flat") && first && first.state !== undefined) {
+    detected(report, "flat");
+    return groupStates(raw.map(groupRecord), report);
   }
 
-  // Common "signalGroups" array
-  if (raw && Array.isArray(raw.signalGroups)) {
-    return raw.signalGroups.map((sg, idx) => ({
-      id: String(sg.id || sg.intersectionId || sg.sgId || idx),
-      state: String(sg.state || sg.grint || sg.code || "")
-    }));
+  // Nested: { intersections: [{ id, signalGroups: [{ id, type, state }] }] }
+  if (want(format, "nested") && raw && Array.isArray(raw.intersections)) {
+    detected(report, "nested");
+    return groupStates(raw.intersections.flatMap(it => (!isRecord(it) ? [invalid(it)] :
+      [].concat(it.signalGroups || it.groups || []).map((sg, gi) => (isRecord(sg) ? {
+        intersectionId: it.id ?? it.intersectionId,
+        groupId: sg.id ?? sg.sgId ?? gi,
+        type: sg.type ?? sg.groupType,
+        state: sg.state ?? sg.grint ?? sg.code ?? ""
+      } : invalid(sg))))
+    ), report);
+  }
+
+  // Common "signalGroups" array; one entry per group, grouped by intersectionId
+  if (want(format, "signalGroups") && raw && Array.isArray(raw.signalGroups)) {
+    detected(report, "signalGroups");
+    return groupStates(raw.signalGroups.map(groupRecord), report);
   }
 
   // Map/dictionary: { "<id>": "<state>", ... }
-  if (raw && typeof raw === "object" && !Array.isArray(raw)) {
-    return Object.keys(raw).map(k => ({ id: String(k), state: String(raw[k]) }));
+  if (want(format, "map") && raw && typeof raw === "object" && !Array.isArray(raw)) {
+    detected(report, "map");
+    return groupStates(Object.keys(raw).map(k => ({ intersectionId: k, state: raw[k] })), report);
+  }
+
+  // DATEX II signal status records
+  if (want(format, "datex2") && looksLikeXML(raw)) {
+    const doc = readXML(raw, report);
+    return doc ? groupStates(datexStates(doc), report) : [];
   }
 
   // CSV text?
-  if (typeof raw === "string" && raw.includes(",")) {
-    const [headerLine, ...lines] = raw.split(/\r?\n/).filter(Boolean);
-    const headers = headerLine.split(",").map(h => h.trim().toLowerCase());
-    const idxId = headers.findIndex(h => ["id","intersectionid","sgid"].includes(h));
-    const idxState = headers.findIndex(h => ["state","grint","code","status"].includes(h));
-    return lines.map((line, i) => {
-      const cols = line.split(",");
-      return {
-        id: String(idxId >= 0 ? cols[idxId] : i),
-        state: String(idxState >= 0 ? cols[idxState] : "")
-      };
-    });
+  if (want(format, "csv") && looksLikeCSV(raw)) {
+    const { rows, col } = readCSV(raw, report);
+    const idxId = col(["id","intersectionid"]);
+    const idxSg = col(["sgid","signalgroup","group"]);
+    const idxType = col(["type","grouptype"]);
+    const idxState = col(["state","grint","code","status"]);
+    return groupStates(rows.map(cols => ({
+      intersectionId: cell(cols, idxId) ?? cell(cols, idxSg),
+      groupId: idxId >= 0 ? cell(cols, idxSg) : undefined,
+      type: cell(cols, idxType),
+      state: cell(cols, idxState) ?? ""
+    })), report);
   }
 
+  detected(report, "unknown");
   return [];
 }
 
-window.TampereAdapters = { parseLocations, parseStates };
+if (typeof window !== "undefined") {
+  window.TampereAdapters = { parseLocations, parseStates, normalizeGroupType };
+}
@@ -2,7 +2,22 @@
 // Realtime Tampere traffic lights map UI
 // - Shows a fallback badge if server is using demo data
 // - Per-request toast when a route falls back (X-Demo-Fallback header)
-// - Uses GRINT mapping (from grint.js) and adapters (from adapters.js)
+// - Uses GRINT mapping (from grint.js), adapters (from adapters.js) and the render helpers
+//   shared with the embed widget (from ui.js)
+// - Live updates via /api/stream (SSE), falling back to polling /api/states
+// - Staleness badge when the server serves cached data (X-Cache-Age header / SSE status)
+// - Replay mode plays recorded transitions (server history or a JSONL file) onto the markers
+// - Feed diagnostics panel (/api/diagnostics): detected formats, dropped records, unjoined ids
+// - Intersection list: search, category filters (also hide markers), sort, zoom-to
+// - Snapshot export (GeoJSON / CSV / KML via /api/export), optionally of the current view
+// - Corridors (/api/corridors) with a live time-space diagram; stops are edited by clicking markers
+// - Markers are only touched when their state changed; popups are built when opened;
+//   at low zoom markers are grouped into clusters showing per-category counts
+// - Accessibility: per-category marker shapes and glyphs, blinking flashing codes, a
+//   high-contrast theme, ARIA live announcements, keyboard access to markers, popups and lists
+// - All UI strings come from i18n.js (Finnish / English, switchable in the header)
+// - URL state (urlstate.js): view, selected intersection, category filter and hidden chrome
+//   come from the URL and are written back to the hash, for shared links and kiosk screens
 
 (async function () {
   // ----- DOM refs
@@ -10,6 +25,26 @@
   const $conn = document.getElementById("conn");
   const $last = document.getElementById("lastUpdate");
   const $cfg = document.getElementById("cfg");
+  const $staleness = document.getElementById("staleness");
+  const I18n = window.TampereI18n;
+  const { t } = I18n;
+  const { escapeHTML, symbolHTML, fmtAge } = window.TampereUI;
+
+  // ----- URL state (deep links, kiosk mode): the language and chrome apply before anything
+  // renders; view, filters and selection once the map exists
+  const UrlState = window.TampereUrlState;
+  const urlState = UrlState.parseUrlState(location.search, location.hash);
+  let urlLang = urlState.lang; // only kept in the URL when it came from there
+  let chromeHidden = urlState.hide;
+  let selectedId = null; // intersection whose popup is open
+
+  function applyChrome(hide) {
+    chromeHidden = hide;
+    for (const part of UrlState.CHROME) document.body.classList.toggle(`hide-${part}`, hide.includes(part));
+  }
+  applyChrome(urlState.hide);
+  if (urlLang) I18n.setLang(urlLang, { persist: false });
+  I18n.applyStatic();
 
   // ----- Toast helper
   function makeToastContainer() {
@@ -29,6 +64,14 @@
     return el;
   }
 
+  // Screen reader announcement through the live regions in index.html; clearing first makes
+  // a repeated message count as a change
+  function announce(msg, assertive = false) {
+    const el = document.getElementById(assertive ? "liveAlert" : "liveStatus");
+    el.textContent = "";
+    setTimeout(() => { el.textContent = msg; }, 50);
+  }
+
   function toast(msg, kind = "info") {
     const box = document.createElement("div");
     const bg = kind === "warn" ? "#40220f" : kind === "error" ? "#3a0f12" : "#10233f";
@@ -45,6 +88,7 @@
       boxShadow: "0 6px 30px rgba(0,0,0,0.35)"
     });
     box.textContent = msg;
+    announce(msg, kind === "error");
     const cont = makeToastContainer();
     cont.appendChild(box);
     setTimeout(() => {
@@ -62,28 +106,106 @@
 
     // Per-request fallback notification
     const fb = r.headers.get("X-Demo-Fallback");
-    if (fb === "locations") toast("Locations fell back to demo", "warn");
-    if (fb === "states") toast("States fell back to demo", "warn");
+    if (fb === "locations") toast(t("locationsDemo"), "warn");
+    if (fb === "states") toast(t("statesDemo"), "warn");
+    if (/\/api\/states/.test(url)) {
+      const cacheAge = r.headers.get("X-Cache-Age");
+      showStaleness(cacheAge !== null ? "cache" : fb ? "demo" : "remote", Number(cacheAge) * 1000);
+    }
 
     if (ct.includes("application/json") || ct.includes("+json")) return r.json();
     return r.text();
   }
 
+  // fetch() for write routes the server may guard with an API key (X-API-Key): the key is
+  // asked for on the first 401 and kept for the browser session under `storageKey`
+  function keyedFetch(storageKey, promptKey) {
+    let apiKey = null;
+    try { apiKey = sessionStorage.getItem(storageKey); } catch { /* storage disabled */ }
+    return async function (url, init) {
+      const send = () => fetch(url, { ...init, headers: { ...init.headers, ...(apiKey ? { "X-API-Key": apiKey } : {}) } });
+      const r = await send();
+      if (r.status !== 401) return r;
+      const key = prompt(t(promptKey));
+      if (!key) return r;
+      apiKey = key;
+      try { sessionStorage.setItem(storageKey, key); } catch { /* storage disabled */ }
+      return send();
+    };
+  }
+  // CORRIDORS_API_KEY / ALERTS_API_KEY on the server
+  const corridorWrite = keyedFetch("trafficlights.corridorsKey", "corridorKeyPrompt");
+  const alertWrite = keyedFetch("trafficlights.alertsKey", "alertKeyPrompt");
+
+  // ----- Theme: high contrast follows the OS setting until toggled, then the saved choice
+  const CONTRAST_KEY = "trafficlights.contrast";
+  const $contrastToggle = document.getElementById("contrastToggle");
+
+  function setHighContrast(on) {
+    document.body.classList.toggle("high-contrast", on);
+    $contrastToggle.setAttribute("aria-pressed", String(on));
+  }
+  setHighContrast((() => {
+    try {
+      const saved = localStorage.getItem(CONTRAST_KEY);
+      if (saved) return saved === "high";
+    } catch { /* storage disabled */ }
+    return window.matchMedia("(prefers-contrast: more)").matches;
+  })());
+  $contrastToggle.addEventListener("click", () => {
+    const on = !document.body.classList.contains("high-contrast");
+    setHighContrast(on);
+    try { localStorage.setItem(CONTRAST_KEY, on ? "high" : "normal"); } catch { /* storage disabled */ }
+  });
+
+  // ----- Legend, generated from the GRINT code table
+  let lang = I18n.getLang();
+
+  function renderLegend() {
+    const rows = window.GRINT.legend(lang);
+    document.getElementById("legendList").innerHTML = rows.map(r => `
+      <li>${symbolHTML(r.category)} ${escapeHTML(r.label)}${r.codes ? ` (${escapeHTML(r.codes)})` : ""}</li>`).join("") + `
+      <li>${symbolHTML("amber", { flashing: true })} ${escapeHTML(t("flashing"))}</li>
+      <li>${symbolHTML("red", { fault: true })} ${escapeHTML(t("fault"))}</li>`;
+    document.getElementById("codeTable").innerHTML = rows.flatMap(r => r.entries.map(e => `
+      <dt>${escapeHTML(e.code)}</dt>
+      <dd>${symbolHTML(r.category, { flashing: e.flashing, fault: e.fault })}</dd>
+      <dd>${escapeHTML(e.text)}${e.flashing ? ` <span class="flag">${escapeHTML(t("flashing"))}</span>` : ""}${e.fault ? ` <span class="flag">${escapeHTML(t("fault"))}</span>` : ""}</dd>`)).join("");
+  }
+  renderLegend();
+
   // ----- Config & initial badge
   const cfg = await fetch("/config").then(r => r.json()).catch(() => ({}));
   $cfg.textContent = JSON.stringify(cfg, null, 2);
 
-  // Header connection label
-  function setConn(text, color = "#4da3ff") {
-    $conn.textContent = text;
+  // Header connection label: a string table key, kept so a language switch can redo it
+  let connLabel = { key: "connecting", vars: {}, color: "#4da3ff" };
+  function setConn(key, vars = {}, color = "#4da3ff") {
+    connLabel = { key, vars, color };
+    $conn.textContent = t(key, vars);
     $conn.style.color = color;
   }
 
+  // Header badge while the states are not fresh from upstream
+  let staleness = { source: "remote", ageMs: 0 };
+  function showStaleness(source, ageMs) {
+    staleness = { source, ageMs };
+    if (source !== "cache") {
+      $staleness.hidden = true;
+      return;
+    }
+    if ($staleness.hidden) announce(t("cachedTitle"));
+    $staleness.hidden = false;
+    $staleness.textContent = t("cachedAge", { age: fmtAge(ageMs || 0) });
+    $staleness.title = t("cachedTitle");
+  }
+
   // Global fallback badge if server-wide fallback is active
   const fallbackNow = !!(cfg.fallbackActive && (cfg.fallbackActive.locations || cfg.fallbackActive.states));
   if (fallbackNow) {
     const badge = document.createElement("span");
-    badge.textContent = "fallback: demo";
+    badge.dataset.i18n = "fallbackDemo";
+    badge.textContent = t("fallbackDemo");
     Object.assign(badge.style, {
       padding: "2px 8px",
       borderRadius: "999px",
@@ -96,69 +218,369 @@
 
   // ----- Map
   const tampere = [61.4978, 23.7610];
-  const map = L.map("map", { zoomControl: true }).setView(tampere, 13);
+  const map = L.map("map", { zoomControl: true }).setView(urlState.center || tampere, urlState.zoom ?? 13);
   L.tileLayer("https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", {
     attribution: "&copy; OpenStreetMap contributors",
     maxZoom: 20
   }).addTo(map);
 
+  // Leaflet's own controls carry English labels
+  function labelMapControls() {
+    for (const [sel, key] of [[".leaflet-control-zoom-in", "zoomIn"], [".leaflet-control-zoom-out", "zoomOut"]]) {
+      const el = map.getContainer().querySelector(sel);
+      if (!el) continue;
+      el.title = t(key);
+      el.setAttribute("aria-label", t(key));
+    }
+  }
+  labelMapControls();
+
+  // Keyboard access to popups: Enter on a focused marker opens it (Leaflet), focus moves into
+  // the popup, and Escape closes it and returns focus to where it came from
+  let popupReturnFocus = null;
+  map.on("popupopen", (e) => {
+    const el = e.popup.getElement();
+    const content = el.querySelector(".leaflet-popup-content");
+    el.setAttribute("role", "dialog");
+    el.setAttribute("aria-label", t("popupLabel", { name: content.querySelector("strong")?.textContent || "" }));
+    el.querySelector(".leaflet-popup-close-button")?.setAttribute("aria-label", t("close"));
+    const from = document.activeElement;
+    if (from && from !== document.body && !el.contains(from)) {
+      popupReturnFocus = from;
+      content.tabIndex = -1;
+      content.focus({ preventScroll: true });
+    }
+  });
+  map.getContainer().addEventListener("keydown", (ev) => {
+    if (ev.key !== "Escape" || !ev.target.closest(".leaflet-popup")) return;
+    map.closePopup();
+    if (popupReturnFocus && document.contains(popupReturnFocus)) popupReturnFocus.focus();
+    popupReturnFocus = null;
+  });
+
   // ----- Markers state
   const markers = new Map(); // id -> Leaflet marker
   let pollInterval = Number(cfg.pollIntervalMs || 2000) || 2000;
 
-  // Visual marker chip
-  function chip(color) {
-    const div = document.createElement("div");
-    div.className = "marker-chip";
-    div.style.background = color;
-    return L.divIcon({ html: div, className: "", iconSize: [16, 16] });
+  // What each marker currently shows: id -> { loc, entry, key, cat, colors, flashing, fault }
+  const markerInfo = new Map();
+  // Categories hidden by the list filters; their markers are taken off the map too
+  const hiddenCats = new Set();
+  const CATEGORY_ORDER = window.GRINT.legend(lang).map(r => r.category);
+  if (urlState.cats) for (const c of CATEGORY_ORDER) if (!urlState.cats.includes(c)) hiddenCats.add(c);
+
+  // Individual markers live in markerLayer; at zoom <= CLUSTER_MAX_ZOOM it is swapped for
+  // clusterLayer (cluster icons plus the markers that are alone in their grid cell)
+  const CLUSTER_MAX_ZOOM = 14;
+  const CLUSTER_CELL_PX = 64;
+  const markerLayer = L.layerGroup().addTo(map);
+  const clusterLayer = L.layerGroup();
+  let clustersQueued = false;
+
+  // Visual marker chip: the category symbol; several colors render as a pie of the group categories
+  function chip(info) {
+    return L.divIcon({ html: symbolHTML(info.cat, { ...info, className: "marker-chip" }), className: "", iconSize: [18, 18] });
   }
 
-  // Create/update a marker
-  function upsertMarker(loc, stateCode) {
-    const cat = window.GRINT.toCategory(stateCode);
-    const color = window.GRINT.color(cat);
-    const existing = markers.get(loc.id);
+  function markerTitle(info) {
+    const flags = [info.flashing && t("flashing"), info.fault && t("fault")].filter(Boolean);
+    const category = [window.GRINT.categoryName(info.cat, lang), ...flags].join(", ");
+    return t("markerLabel", { name: info.loc.name || info.loc.id, category });
+  }
+
+  // Accessible name of a marker's focusable icon; Leaflet builds a new element whenever the
+  // marker is re-added, so this also runs on "add"
+  function labelMarker(m, title) {
+    if (title !== undefined) m.options.title = title;
+    const el = m.getElement();
+    if (!el) return;
+    el.title = m.options.title;
+    el.setAttribute("aria-label", m.options.title);
+  }
+
+  function showMarker(m, cat) {
+    if (hiddenCats.has(cat)) markerLayer.removeLayer(m);
+    else if (!markerLayer.hasLayer(m)) markerLayer.addLayer(m);
+  }
+
+  // Cluster icon: pie of the category shares, total in the middle, counts underneath
+  function clusterIcon(counts, total) {
+    const cats = CATEGORY_ORDER.filter(c => counts[c]);
+    let deg = 0;
+    const stops = cats.map(c => {
+      const from = deg;
+      deg += (counts[c] / total) * 360;
+      return `${window.GRINT.color(c)} ${from}deg ${deg}deg`;
+    });
     const html = `
+      <div class="cluster-chip" style="background:conic-gradient(${stops.join(", ")})"><span>${total}</span></div>
+      <div class="cluster-counts">${cats.map(c => `<i style="background:${window.GRINT.color(c)}">${window.GRINT.glyph(c)}${counts[c]}</i>`).join("")}</div>`;
+    return L.divIcon({ html, className: "cluster-icon", iconSize: [40, 40], iconAnchor: [20, 20] });
+  }
+
+  // Coalesce zoom and category changes into one cluster rebuild per frame
+  function scheduleClusters() {
+    if (clustersQueued) return;
+    clustersQueued = true;
+    requestAnimationFrame(renderClusters);
+  }
+
+  function renderClusters() {
+    clustersQueued = false;
+    const zoom = map.getZoom();
+    const reopen = [...clusterLayer.getLayers()].find(l => l.isPopupOpen && l.isPopupOpen());
+    clusterLayer.clearLayers();
+    if (zoom > CLUSTER_MAX_ZOOM) {
+      clusterLayer.remove();
+      if (!map.hasLayer(markerLayer)) markerLayer.addTo(map);
+      return;
+    }
+    markerLayer.remove();
+    if (!map.hasLayer(clusterLayer)) clusterLayer.addTo(map);
+
+    // Grid cells in projected pixels at this zoom, so clusters don't move while panning
+    const cells = new Map();
+    for (const [id, info] of markerInfo) {
+      if (hiddenCats.has(info.cat)) continue;
+      const p = map.project([info.loc.lat, info.loc.lon], zoom);
+      const cell = `${Math.floor(p.x / CLUSTER_CELL_PX)}:${Math.floor(p.y / CLUSTER_CELL_PX)}`;
+      if (!cells.has(cell)) cells.set(cell, []);
+      cells.get(cell).push(info);
+    }
+    for (const infos of cells.values()) {
+      if (infos.length === 1) {
+        clusterLayer.addLayer(markers.get(infos[0].loc.id));
+        continue;
+      }
+      const counts = {};
+      for (const i of infos) counts[i.cat] = (counts[i.cat] || 0) + 1;
+      const bounds = L.latLngBounds(infos.map(i => [i.loc.lat, i.loc.lon]));
+      const title = t("clusterLabel", {
+        total: infos.length,
+        counts: CATEGORY_ORDER.filter(c => counts[c]).map(c => `${counts[c]} ${window.GRINT.categoryName(c, lang)}`).join(", ")
+      });
+      const cm = L.marker(bounds.getCenter(), { icon: clusterIcon(counts, infos.length), title });
+      cm.on("add", () => labelMarker(cm))
+        .on("click", () => map.fitBounds(bounds.pad(0.3), { maxZoom: CLUSTER_MAX_ZOOM + 2 }))
+        .addTo(clusterLayer);
+    }
+    if (reopen && clusterLayer.hasLayer(reopen)) reopen.openPopup();
+  }
+
+  map.on("zoomend", scheduleClusters);
+
+  // Zoom to a marker and open its popup; the view change is synchronous so the marker is
+  // already out of any cluster when the popup opens
+  function focusMarker(id) {
+    const info = markerInfo.get(id);
+    const m = markers.get(id);
+    if (!info || !m) return;
+    map.setView([info.loc.lat, info.loc.lon], Math.max(map.getZoom(), CLUSTER_MAX_ZOOM + 2), { animate: false });
+    renderClusters();
+    m.openPopup();
+  }
+
+  function popupHTML(id) {
+    const { loc, entry, cat } = markerInfo.get(id);
+    const groups = (entry && entry.groups) || [];
+    return `
       <strong>${escapeHTML(loc.name || loc.id)}</strong><br/>
-      <small>ID: ${escapeHTML(loc.id)}</small><br/>
-      <small>State: ${escapeHTML(stateCode || "?")} (${escapeHTML(cat)})</small>
+      <small>${escapeHTML(t("popupId", { id: loc.id }))}</small><br/>
+      ${loc.provider && (cfg.providers || []).length > 1 ? `<small>${escapeHTML(t("popupProvider", { provider: loc.provider }))}</small><br/>` : ""}
+      <small>${escapeHTML(t("popupSummary", { category: window.GRINT.categoryName(cat, lang), n: groups.length }))}</small>
+      ${groups.length ? `<table class="sg-table">${groupRows(groups)}</table>` : ""}
+      ${statsHTML(loc.id)}
     `;
+  }
+
+  function groupRows(groups) {
+    return groups.map(g => {
+      const cat = window.GRINT.toCategory(g.state);
+      return `<tr>
+        <td>${symbolHTML(cat, { flashing: window.GRINT.isFlashing(g.state), fault: window.GRINT.isFault(g.state) })}</td>
+        <td>${escapeHTML(g.id)}</td>
+        <td>${escapeHTML(g.type)}</td>
+        <td>${escapeHTML(g.state || "?")}</td>
+        <td>${escapeHTML(window.GRINT.describe(g.state, lang))}</td>
+      </tr>`;
+    }).join("");
+  }
+
+  // ----- Timing stats (refreshed from /api/stats, shown in popups and the sidebar table)
+  const statsById = new Map();
+  const STATS_REFRESH_MS = 10000;
+
+  function fmtSec(ms) {
+    return ms === null || ms === undefined ? "–" : `${Math.round(ms / 1000)} s`;
+  }
+  function fmtPct(x) {
+    return `${Math.round((x || 0) * 100)}%`;
+  }
+
+  function statsHTML(id) {
+    const st = statsById.get(String(id));
+    if (!st) return "";
+    return `<div class="popup-stats">
+      ${escapeHTML(t("statsCycle", { cycle: fmtSec(st.cycleMs), maxRed: fmtSec(st.longestRedMs), perHour: st.transitionsPerHour ?? "–" }))}<br/>
+      ${escapeHTML(t("statsShares", { g: fmtPct(st.share.green), a: fmtPct(st.share.amber), r: fmtPct(st.share.red) }))}
+    </div>`;
+  }
+
+  // Create/update a marker; entry is a normalized { id, state, groups } or null.
+  // Does nothing when the signal group states are unchanged; the icon is only rebuilt when
+  // its symbol changes, and an open popup is re-rendered in place (and announced).
+  function upsertMarker(loc, entry) {
+    const groups = (entry && entry.groups) || [];
+    const key = groups.map(g => `${g.id}=${g.state}`).join("|");
+    const prev = markerInfo.get(loc.id);
+    const existing = markers.get(loc.id);
+    if (existing && prev.key === key) return existing;
+
+    const cat = window.GRINT.summarize(groups);
+    const colors = cat === "mixed"
+      ? [...new Set(groups.map(g => window.GRINT.color(window.GRINT.toCategory(g.state))))]
+      : [window.GRINT.color(cat)];
+    const flashing = groups.some(g => window.GRINT.isFlashing(g.state));
+    const fault = groups.some(g => window.GRINT.isFault(g.state));
+    const info = { loc, entry, key, cat, colors, flashing, fault };
+    markerInfo.set(loc.id, info);
+    scheduleList();
+    if (!prev || prev.cat !== cat) scheduleClusters();
+
     if (existing) {
-      existing.setIcon(chip(color));
-      existing.setPopupContent(html);
+      const symbolOf = (i) => `${i.cat}|${i.colors.join()}|${i.flashing}|${i.fault}`;
+      if (symbolOf(prev) !== symbolOf(info)) {
+        existing.setIcon(chip(info));
+        labelMarker(existing, markerTitle(info));
+      }
+      if (existing.isPopupOpen()) {
+        existing.getPopup().update();
+        if (prev.cat !== cat || prev.fault !== fault) announce(markerTitle(info));
+      }
+      showMarker(existing, cat);
       return existing;
     }
-    const m = L.marker([loc.lat, loc.lon], { icon: chip(color) }).bindPopup(html);
-    m.addTo(map);
+    const m = L.marker([loc.lat, loc.lon], { icon: chip(info), title: markerTitle(info) }).bindPopup(() => popupHTML(loc.id));
+    m.on("add", () => labelMarker(m))
+      .on("popupopen", () => {
+        selectedId = loc.id;
+        syncUrl();
+      })
+      .on("popupclose", () => {
+        if (selectedId !== loc.id) return;
+        selectedId = null;
+        syncUrl();
+      });
+    // While a corridor is being edited, clicks pick stops instead of showing the popup
+    m.on("click", () => {
+      if (!corridorDraft) return;
+      m.closePopup();
+      toggleDraftStop(loc.id);
+    });
     markers.set(loc.id, m);
+    showMarker(m, cat);
     return m;
   }
 
-  // Small HTML escaper for popup content
-  function escapeHTML(s) {
-    return String(s)
-      .replaceAll("&", "&amp;")
-      .replaceAll("<", "&lt;")
-      .replaceAll(">", "&gt;")
-      .replaceAll('"', "&quot;")
-      .replaceAll("'", "&#039;");
+  // ----- Intersection list (rows come from markerInfo, so they match the markers)
+  const $ilist = document.getElementById("ilist");
+  const $ilistCount = document.getElementById("ilistCount");
+  const $ilistSearch = document.getElementById("ilistSearch");
+  const $ilistSort = document.getElementById("ilistSort");
+  const $ilistFilters = document.getElementById("ilistFilters");
+  // id -> ms of the last live state change; seeded from /api/v1/intersections lastChangedAt
+  const changedAt = new Map();
+  const LIST_AGE_REFRESH_MS = 5000;
+  let listQueued = false;
+
+  // Coalesce the many upserts of one update batch into a single re-render
+  function scheduleList() {
+    if (listQueued) return;
+    listQueued = true;
+    requestAnimationFrame(() => {
+      listQueued = false;
+      renderList();
+    });
+  }
+
+  function renderList() {
+    const q = $ilistSearch.value.trim().toLowerCase();
+    const all = [...markerInfo.values()];
+    const rows = all.filter(r => !hiddenCats.has(r.cat) &&
+      (!q || String(r.loc.name || "").toLowerCase().includes(q) || String(r.loc.id).toLowerCase().includes(q)));
+    const since = (r) => changedAt.get(r.loc.id) ?? Infinity;
+    if ($ilistSort.value === "changed") {
+      // Longest unchanged first; unknown last
+      rows.sort((a, b) => since(a) - since(b));
+    } else {
+      rows.sort((a, b) => String(a.loc.name || a.loc.id).localeCompare(String(b.loc.name || b.loc.id), lang));
+    }
+    $ilistCount.textContent = rows.length === all.length ? `(${all.length})` : `(${rows.length} / ${all.length})`;
+    $ilist.innerHTML = rows.map(r => `
+      <li data-id="${escapeHTML(r.loc.id)}" tabindex="0" role="button" title="${escapeHTML(markerTitle(r))}">
+        ${symbolHTML(r.cat, r)}
+        <span class="ilist-name">${escapeHTML(r.loc.name || r.loc.id)}</span>
+        <span class="ilist-age">${changedAt.has(r.loc.id) ? fmtAge(Date.now() - changedAt.get(r.loc.id)) : "–"}</span>
+      </li>`).join("");
   }
 
+  // Enter / Space on the focusable rows and headers of the sidebar acts like a click
+  function clickOnKey(ev) {
+    if ((ev.key === "Enter" || ev.key === " ") && ev.target.matches("[tabindex='0']")) {
+      ev.preventDefault();
+      ev.target.click();
+    }
+  }
+
+  function renderFilters() {
+    $ilistFilters.innerHTML = CATEGORY_ORDER.map(cat => `
+      <label><input type="checkbox" value="${cat}"${hiddenCats.has(cat) ? "" : " checked"} />${symbolHTML(cat)}${escapeHTML(window.GRINT.categoryName(cat, lang))}</label>`).join("");
+  }
+  renderFilters();
+  function applyCategoryFilter() {
+    for (const [id, info] of markerInfo) {
+      const m = markers.get(id);
+      if (m) showMarker(m, info.cat);
+    }
+    renderList();
+    scheduleClusters();
+  }
+
+  $ilistFilters.addEventListener("change", (ev) => {
+    const cat = ev.target.value;
+    if (ev.target.checked) hiddenCats.delete(cat);
+    else hiddenCats.add(cat);
+    applyCategoryFilter();
+    syncUrl();
+  });
+  $ilistSearch.addEventListener("input", scheduleList);
+  $ilistSort.addEventListener("change", renderList);
+  $ilist.addEventListener("click", (ev) => {
+    const li = ev.target.closest("li[data-id]");
+    if (li) focusMarker(li.dataset.id);
+  });
+  $ilist.addEventListener("keydown", clickOnKey);
+  setInterval(() => markerInfo.size && renderList(), LIST_AGE_REFRESH_MS);
+
   // ----- Data loaders
   async function loadLocations() {
     try {
-      setConn("loading locations…");
+      setConn("loadingLocations");
       const raw = await get("/api/locations");
-      const locs = window.TampereAdapters.parseLocations(raw);
-      if (!Array.isArray(locs) || !locs.length) throw new Error("No locations parsed");
+      const report = {};
+      const locs = window.TampereAdapters.parseLocations(raw, { report });
+      if (!Array.isArray(locs) || !locs.length) {
+        document.getElementById("diagPanel").open = true;
+        throw new Error(`No locations parsed (format: ${report.format}, ${report.records || 0} records, dropped: ${JSON.stringify(report.dropped || {})})`);
+      }
       locs.forEach(loc => upsertMarker(loc, null));
-      setConn(`loaded ${locs.length} locations`);
+      setConn("loadedLocations", { n: locs.length });
+      announce(t("loadedLocations", { n: locs.length }));
       return locs;
     } catch (e) {
       console.error("[locations] parse/error:", e);
-      setConn("failed to load locations (see console)", "#ff808b");
-      toast("Failed to load locations", "error");
+      setConn("locationsFailedConn", {}, "#ff808b");
+      toast(t("locationsFailed"), "error");
       return [];
     }
   }
@@ -177,33 +599,705 @@
 
   // ----- Kickoff
   const locations = await loadLocations();
+  const locById = new Map(locations.map(l => [String(l.id), l]));
+  const lastKnown = new Map(); // id -> { id, state, groups }, across stream + poll updates
+  // Live signal group changes for the corridor time-space diagram (longest window: 10 min)
+  const stateLog = window.TampereCorridor.createStateLog({ windowMs: 10 * 60000 });
+  let corridorDraft = null; // corridor being edited: { id, name, speedKmh, stops }
+
+  // Compact comparable form of an intersection's signal group states
+  function stateKey(entry) {
+    return (entry.groups || []).map(g => `${g.id}=${g.state}`).join("|");
+  }
+
+  // Last-change times the server saw before this page was open
+  if (locations.length) {
+    get("/api/v1/intersections").then(out => {
+      for (const it of out.intersections || []) {
+        if (it.lastChangedAt && !changedAt.has(String(it.id))) changedAt.set(String(it.id), Date.parse(it.lastChangedAt));
+      }
+      renderList();
+    }).catch(e => console.error("[intersections] fetch/error:", e));
+  }
+
+  // Apply a batch of normalized states; returns how many matched a location
+  function applyStates(states) {
+    const now = Date.now();
+    let hits = 0;
+    for (const s of states) {
+      const loc = locById.get(String(s.id));
+      if (!loc) continue; // ignore unknown ids
+      const prev = lastKnown.get(String(s.id));
+      stateLog.record([s], now);
+      if (prev && stateKey(prev) !== stateKey(s)) changedAt.set(String(s.id), now);
+      lastKnown.set(String(s.id), s);
+      if (!replaying) upsertMarker(loc, s);
+      hits++;
+    }
+    return hits;
+  }
+
+  let lastUpdatedAt = null;
+  function renderLastUpdate() {
+    if (lastUpdatedAt && !replaying) $last.textContent = t("updatedAt", { time: new Date(lastUpdatedAt).toLocaleTimeString(lang) });
+  }
+
+  function markUpdated(key, vars) {
+    if (replaying) return;
+    lastUpdatedAt = Date.now();
+    renderLastUpdate();
+    setConn(key, vars);
+  }
 
   async function tick() {
+    if (replaying) return;
     try {
-      setConn("updating…");
+      setConn("updating");
       const states = await loadStates();
-      const now = new Date();
-      const locById = new Map(locations.map(l => [String(l.id), l]));
-      let hits = 0;
-
-      for (const s of states) {
-        const loc = locById.get(String(s.id));
-        if (!loc) continue; // ignore unknown ids
-        upsertMarker(loc, s.state);
-        hits++;
+      const hits = applyStates(states);
+      const unmatched = states.length - hits;
+      markUpdated(unmatched ? "liveStatesUnmatched" : "liveStates", { n: hits, u: unmatched });
+    } catch (e) {
+      console.error("[tick] error:", e);
+      setConn("updateError", {}, "#ff808b");
+    }
+  }
+
+  // ----- Polling fallback
+  let pollTimer = null;
+  function startPolling() {
+    if (pollTimer || replaying) return;
+    tick();
+    pollTimer = setInterval(tick, pollInterval);
+  }
+  function stopPolling() {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  // ----- Server push (SSE); drops back to polling while the stream is down
+  const STREAM_RETRY_MS = 15000;
+  let lastSource = null;
+  let streamUp = false;
+  let streamLost = false;
+
+  function onStreamPayload(payload) {
+    if (payload.source === "demo" && lastSource !== "demo") toast(t("statesDemo"), "warn");
+    lastSource = payload.source;
+    applyStates(payload.states || []);
+    for (const id of payload.removed || []) {
+      lastKnown.delete(String(id));
+      const loc = locById.get(String(id));
+      if (loc && !replaying) upsertMarker(loc, null);
+    }
+    const matched = [...lastKnown.keys()].filter(id => locById.has(id)).length;
+    markUpdated("streamStates", { n: matched });
+  }
+
+  function connectStream() {
+    if (!window.EventSource || !cfg.stream) return startPolling();
+    const es = new EventSource(cfg.stream.url);
+    es.addEventListener("open", () => {
+      streamUp = true;
+      stopPolling();
+      if (streamLost) announce(t("streamConnected"));
+      streamLost = false;
+    });
+    es.addEventListener("snapshot", (ev) => {
+      const payload = JSON.parse(ev.data);
+      showStaleness(payload.source, payload.ageMs);
+      onStreamPayload(payload);
+    });
+    es.addEventListener("changes", (ev) => onStreamPayload(JSON.parse(ev.data)));
+    es.addEventListener("alerts", (ev) => onAlertsEvent(JSON.parse(ev.data)));
+    es.addEventListener("status", (ev) => {
+      const s = JSON.parse(ev.data);
+      showStaleness(s.source, s.ageMs);
+    });
+    es.addEventListener("error", () => {
+      es.close();
+      streamUp = false;
+      console.warn("[stream] disconnected, polling until it comes back");
+      setConn("streamLost", {}, "#ffb15a");
+      if (!streamLost) announce(t("streamLost"));
+      streamLost = true;
+      startPolling();
+      setTimeout(connectStream, STREAM_RETRY_MS);
+    });
+  }
+
+  // ----- Alerts panel
+  const $alertList = document.getElementById("alertList");
+  const $alertCount = document.getElementById("alertCount");
+  // String table keys of the alert types
+  const ALERT_LABELS = {
+    fault: "alertFault",
+    stale: "alertStale",
+    "missing-state": "alertMissing",
+    "orphan-state": "alertOrphan"
+  };
+  let activeAlerts = [];
+
+  function renderAlerts(active) {
+    activeAlerts = active;
+    const unacked = active.filter(a => !a.acknowledgedAt).length;
+    $alertCount.textContent = active.length ? t("alertsCount", { unacked, n: active.length }) : "";
+    $alertCount.classList.toggle("has-alerts", unacked > 0);
+    if (!active.length) {
+      $alertList.innerHTML = `<li class="empty">${escapeHTML(t("noAlerts"))}</li>`;
+      return;
+    }
+    $alertList.innerHTML = active.map(a => `
+      <li class="${escapeHTML(a.type)}${a.acknowledgedAt ? " acked" : ""}">
+        <span class="alert-title" data-id="${escapeHTML(a.id)}" tabindex="0" role="button">${a.type === "fault" ? symbolHTML("red", { fault: true }) : ""}${escapeHTML(ALERT_LABELS[a.type] ? t(ALERT_LABELS[a.type]) : a.type)}: ${escapeHTML(locById.get(a.id)?.name || a.id)}</span>
+        ${a.acknowledgedAt ? `<small>${escapeHTML(t("acked"))}</small>` : `<button type="button" data-ack="${escapeHTML(a.key)}">${escapeHTML(t("ack"))}</button>`}
+        <span class="alert-msg">${escapeHTML(a.message)} • ${escapeHTML(t("alertSince", { time: new Date(a.raisedAt).toLocaleTimeString(lang) }))}</span>
+      </li>`).join("");
+  }
+
+  async function refreshAlerts() {
+    try {
+      const out = await get("/api/alerts");
+      renderAlerts(out.active || []);
+    } catch (e) {
+      console.error("[alerts] fetch/error:", e);
+    }
+  }
+
+  function onAlertsEvent(ev) {
+    for (const a of ev.raised || []) {
+      if (a.type === "fault") toast(t("faultAt", { name: locById.get(a.id)?.name || a.id }), "error");
+    }
+    refreshAlerts();
+  }
+
+  $alertList.addEventListener("click", async (ev) => {
+    const key = ev.target.dataset && ev.target.dataset.ack;
+    if (key) {
+      await alertWrite(`/api/alerts/${encodeURIComponent(key)}/ack`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: "{}"
+      }).catch(e => console.error("[alerts] ack error:", e));
+      return refreshAlerts();
+    }
+    const title = ev.target.closest(".alert-title");
+    if (title) focusMarker(title.dataset.id);
+  });
+  $alertList.addEventListener("keydown", clickOnKey);
+
+  // ----- Signal timing table
+  const $timingBody = document.querySelector("#timingTable tbody");
+  const $timingHead = document.querySelector("#timingTable thead");
+  const $timingWindow = document.getElementById("timingWindow");
+  let timingSort = { key: "name", asc: true };
+  let timingWindowMs = null;
+
+  function timingValue(st, key) {
+    if (key === "name") return (locById.get(st.id)?.name || st.id).toLowerCase();
+    if (key === "green") return st.share.green;
+    return st[key] ?? -1;
+  }
+
+  function renderTiming() {
+    const rows = [...statsById.values()].filter(st => locById.has(st.id));
+    const { key, asc } = timingSort;
+    rows.sort((a, b) => {
+      const va = timingValue(a, key), vb = timingValue(b, key);
+      return (va < vb ? -1 : va > vb ? 1 : 0) * (asc ? 1 : -1);
+    });
+    $timingBody.innerHTML = rows.map(st => `
+      <tr data-id="${escapeHTML(st.id)}" tabindex="0">
+        <td>${escapeHTML(locById.get(st.id).name || st.id)}</td>
+        <td>${fmtSec(st.cycleMs)}</td>
+        <td>${fmtPct(st.share.green)}</td>
+        <td>${fmtSec(st.longestRedMs)}</td>
+        <td>${st.transitionsPerHour ?? "–"}</td>
+      </tr>`).join("");
+    for (const th of $timingHead.querySelectorAll("th")) {
+      th.classList.toggle("sorted", th.dataset.sort === key);
+      th.classList.toggle("asc", th.dataset.sort === key && asc);
+      if (th.dataset.sort === key) th.setAttribute("aria-sort", asc ? "ascending" : "descending");
+      else th.removeAttribute("aria-sort");
+    }
+    if (timingWindowMs !== null) $timingWindow.textContent = t("timingWindow", { n: Math.round(timingWindowMs / 60000) });
+  }
+
+  async function refreshStats() {
+    try {
+      const out = await get("/api/stats");
+      statsById.clear();
+      for (const st of out.intersections || []) statsById.set(String(st.id), st);
+      timingWindowMs = out.windowMs;
+      renderTiming();
+      for (const m of markers.values()) {
+        if (m.isPopupOpen()) m.getPopup().update();
       }
+    } catch (e) {
+      console.error("[stats] fetch/error:", e);
+    }
+  }
+
+  $timingHead.addEventListener("click", (ev) => {
+    const key = ev.target.dataset && ev.target.dataset.sort;
+    if (!key) return;
+    timingSort = { key, asc: timingSort.key === key ? !timingSort.asc : key === "name" };
+    renderTiming();
+  });
+  $timingBody.addEventListener("click", (ev) => {
+    const tr = ev.target.closest("tr[data-id]");
+    if (tr) focusMarker(tr.dataset.id);
+  });
+  $timingHead.addEventListener("keydown", clickOnKey);
+  $timingBody.addEventListener("keydown", clickOnKey);
+
+  // ----- Replay mode
+  // Live updates keep filling lastKnown while replaying; markers only follow the replay clock.
+  const $replayFrom = document.getElementById("replayFrom");
+  const $replayTo = document.getElementById("replayTo");
+  const $replayFile = document.getElementById("replayFile");
+  const $replayControls = document.querySelector("#replayPanel .replay-controls");
+  const $replayPlay = document.getElementById("replayPlay");
+  const $replaySpeed = document.getElementById("replaySpeed");
+  const $replayScrub = document.getElementById("replayScrub");
+  const $replayClock = document.getElementById("replayClock");
+  let replaying = false;
+  let replayRange = { fromMs: 0, toMs: 0 };
+  let replayBadge = null;
+
+  // datetime-local wants local time without zone: YYYY-MM-DDTHH:MM:SS
+  function toLocalInput(ms) {
+    const d = new Date(ms - new Date(ms).getTimezoneOffset() * 60000);
+    return d.toISOString().slice(0, 19);
+  }
+
+  const replay = window.TampereReplay.createReplay({
+    onFrame(entries) {
+      for (const e of entries) {
+        const loc = locById.get(String(e.id));
+        if (loc) upsertMarker(loc, e);
+      }
+    },
+    onTick({ playing, t: at, fromMs, toMs, speed }) {
+      $replayPlay.textContent = playing ? t("pause") : t("play");
+      $replayScrub.value = toMs > fromMs ? String(Math.round(((at - fromMs) / (toMs - fromMs)) * 1000)) : "0";
+      $replayClock.textContent = `${new Date(at).toLocaleString(lang)} • ${speed}×`;
+    }
+  });
+
+  function enterReplay(events, range, label) {
+    replaying = true;
+    replayRange = range;
+    stopPolling();
+    if (!replayBadge) {
+      replayBadge = document.createElement("span");
+      replayBadge.className = "replay-badge";
+      replayBadge.dataset.i18n = "replayBadge";
+      replayBadge.textContent = t("replayBadge");
+      $status.appendChild(replayBadge);
+    }
+    const n = replay.load(events, range, new Map(lastKnown));
+    $replayControls.hidden = false;
+    setConn("replayConn", { n }, "#d6a8ff");
+    $last.textContent = `• ${label}`;
+    if (!n) toast(t("noTransitionsRange"), "warn");
+    else announce(t("replayStarted", { label }));
+  }
 
-      $last.textContent = `• updated ${now.toLocaleTimeString()}`;
-      setConn(`live: ${hits} states`);
+  function exitReplay() {
+    replay.pause();
+    replaying = false;
+    replayBadge?.remove();
+    replayBadge = null;
+    $replayControls.hidden = true;
+    for (const loc of locations) upsertMarker(loc, lastKnown.get(String(loc.id)) || null);
+    announce(t("replayEnded"));
+    if (streamUp) markUpdated("streamLive");
+    else startPolling();
+  }
+
+  async function loadServerReplay() {
+    const fromMs = Date.parse($replayFrom.value);
+    const toMs = Date.parse($replayTo.value);
+    if (!Number.isFinite(fromMs) || !Number.isFinite(toMs) || fromMs >= toMs) {
+      return toast(t("pickRange"), "warn");
+    }
+    if (cfg.history && !cfg.history.enabled) return toast(t("historyDisabled"), "error");
+    try {
+      const q = new URLSearchParams({ from: new Date(fromMs).toISOString(), to: new Date(toMs).toISOString(), limit: "50000" });
+      const out = await get(`/api/history?${q}`);
+      if (out.truncated) toast(t("historyTruncated", { n: q.get("limit") }), "warn");
+      enterReplay(out.events || [], { fromMs, toMs }, t("serverHistory"));
     } catch (e) {
-      console.error("[tick] error:", e);
-      setConn("update error", "#ff808b");
+      console.error("[replay] history error:", e);
+      toast(t("historyFailed"), "error");
+    }
+  }
+
+  async function loadFileReplay(file) {
+    const { events, skipped } = window.TampereReplay.parseHistoryJSONL(await file.text());
+    if (skipped) toast(t("skippedLines", { n: skipped }), "warn");
+    if (!events.length) return toast(t("noTransitionsFile"), "error");
+    const times = events.map(ev => Date.parse(ev.at));
+    const range = { fromMs: Math.min(...times), toMs: Math.max(...times) };
+    $replayFrom.value = toLocalInput(range.fromMs);
+    $replayTo.value = toLocalInput(range.toMs);
+    enterReplay(events, range, file.name);
+  }
+
+  $replayFrom.value = toLocalInput(Date.now() - 15 * 60000);
+  $replayTo.value = toLocalInput(Date.now());
+  for (const x of window.TampereReplay.REPLAY_SPEEDS) $replaySpeed.add(new Option(`${x}×`, String(x)));
+  document.getElementById("replayLoadServer").addEventListener("click", loadServerReplay);
+  document.getElementById("replayExit").addEventListener("click", exitReplay);
+  $replayFile.addEventListener("change", () => {
+    if ($replayFile.files[0]) loadFileReplay($replayFile.files[0]);
+    $replayFile.value = "";
+  });
+  $replayPlay.addEventListener("click", () => (replay.playing ? replay.pause() : replay.play()));
+  $replaySpeed.addEventListener("change", () => replay.setSpeed($replaySpeed.value));
+  $replayScrub.addEventListener("input", () => {
+    const { fromMs, toMs } = replayRange;
+    replay.seek(fromMs + (Number($replayScrub.value) / 1000) * (toMs - fromMs));
+  });
+
+  // ----- Corridors and the time-space diagram
+  const { corridorDistances, stopGroup, drawTimeSpace } = window.TampereCorridor;
+  const $corridorSelect = document.getElementById("corridorSelect");
+  const $corridorEditBox = document.querySelector("#corridorPanel .corridor-edit");
+  const $corridorName = document.getElementById("corridorName");
+  const $corridorSpeed = document.getElementById("corridorSpeed");
+  const $corridorStops = document.getElementById("corridorStops");
+  const $tsdPanel = document.getElementById("tsdPanel");
+  const $tsdTitle = document.getElementById("tsdTitle");
+  const $tsdWindow = document.getElementById("tsdWindow");
+  const $tsdCanvas = document.getElementById("tsdCanvas");
+  const $tsdOffsets = document.getElementById("tsdOffsets");
+  const TSD_REDRAW_MS = 1000;
+  const OFFSET_TOLERANCE_S = 5;
+  let corridorList = [];
+  let corridorLine = null;
+  let tsdTimer = null;
+
+  const activeCorridor = () => corridorList.find(c => c.id === $corridorSelect.value) || null;
+
+  function drawCorridorLine() {
+    const c = corridorDraft || activeCorridor();
+    const pts = c ? c.stops.map(s => locById.get(s.id)).filter(Boolean).map(l => [l.lat, l.lon]) : [];
+    if (corridorLine) corridorLine.remove();
+    corridorLine = pts.length > 1
+      ? L.polyline(pts, { color: "#4da3ff", weight: 4, opacity: 0.7, dashArray: corridorDraft ? "6 6" : null }).addTo(map)
+      : null;
+  }
+
+  async function loadCorridors(selectId) {
+    try {
+      corridorList = (await get("/api/corridors")).corridors || [];
+    } catch (e) {
+      console.error("[corridors] fetch/error:", e);
+      corridorList = [];
+    }
+    $corridorSelect.innerHTML = corridorList.map(c => `<option value="${escapeHTML(c.id)}">${escapeHTML(c.name)}</option>`).join("");
+    if (selectId) $corridorSelect.value = selectId;
+    drawCorridorLine();
+    renderDiagram();
+  }
+
+  function renderDraftStops() {
+    $corridorStops.innerHTML = corridorDraft.stops.map((s, i) => {
+      const groups = (lastKnown.get(s.id) || {}).groups || [];
+      const opts = [`<option value="">${escapeHTML(t("groupAuto"))}</option>`, ...groups.map(g =>
+        `<option value="${escapeHTML(g.id)}"${g.id === s.group ? " selected" : ""}>${escapeHTML(g.id)} (${escapeHTML(g.type)})</option>`)];
+      return `
+        <li data-i="${i}">
+          <span>${escapeHTML(locById.get(s.id)?.name || s.id)}</span>
+          <select title="${escapeHTML(t("groupToFollow"))}" aria-label="${escapeHTML(t("groupToFollow"))}">${opts.join("")}</select>
+          <button type="button" data-remove="${i}" title="${escapeHTML(t("removeStop"))}" aria-label="${escapeHTML(t("removeStop"))}">×</button>
+        </li>`;
+    }).join("");
+    drawCorridorLine();
+  }
+
+  function toggleDraftStop(id) {
+    const i = corridorDraft.stops.findIndex(s => s.id === id);
+    if (i >= 0) corridorDraft.stops.splice(i, 1);
+    else corridorDraft.stops.push({ id });
+    renderDraftStops();
+  }
+
+  function startCorridorEdit(corridor) {
+    corridorDraft = corridor
+      ? { ...corridor, stops: corridor.stops.map(s => ({ ...s })) }
+      : { id: null, name: "", speedKmh: 40, stops: [] };
+    $corridorName.value = corridorDraft.name;
+    $corridorSpeed.value = corridorDraft.speedKmh;
+    $corridorEditBox.hidden = false;
+    document.getElementById("corridorDelete").hidden = !corridorDraft.id;
+    renderDraftStops();
+  }
+
+  function endCorridorEdit() {
+    corridorDraft = null;
+    $corridorEditBox.hidden = true;
+    drawCorridorLine();
+  }
+
+  // "Hämeenkatu (itään)" -> "hameenkatu-itaan"
+  function slug(name) {
+    return name.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "").slice(0, 64) || `corridor-${Date.now()}`;
+  }
+
+  async function saveCorridor() {
+    corridorDraft.name = $corridorName.value.trim() || corridorDraft.name;
+    corridorDraft.speedKmh = Number($corridorSpeed.value) || 40;
+    const id = corridorDraft.id || slug(corridorDraft.name);
+    const r = await corridorWrite(`/api/corridors/${encodeURIComponent(id)}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: corridorDraft.name, speedKmh: corridorDraft.speedKmh, stops: corridorDraft.stops })
+    });
+    const out = await r.json().catch(() => ({}));
+    if (!r.ok) return toast(out.error || t("savingFailed", { status: r.status }), "error");
+    endCorridorEdit();
+    toast(t("savedCorridor", { name: out.name }));
+    loadCorridors(out.id);
+  }
+
+  async function deleteCorridor() {
+    if (!corridorDraft.id || !confirm(t("confirmDeleteCorridor", { name: corridorDraft.name }))) return;
+    const r = await corridorWrite(`/api/corridors/${encodeURIComponent(corridorDraft.id)}`, { method: "DELETE" });
+    if (!r.ok) return toast(t("deletingFailed", { status: r.status }), "error");
+    endCorridorEdit();
+    loadCorridors();
+  }
+
+  function renderDiagram() {
+    const c = activeCorridor();
+    if ($tsdPanel.hidden) return;
+    if (!c) {
+      $tsdTitle.textContent = t("noCorridor");
+      return;
+    }
+    const now = Date.now();
+    const windowMs = Number($tsdWindow.value);
+    stateLog.prune(now);
+    const known = c.stops.filter(s => locById.has(s.id));
+    const distances = corridorDistances(known.map(s => locById.get(s.id)));
+    const stops = known.map((s, i) => {
+      const g = stopGroup(lastKnown.get(s.id), s);
+      return {
+        name: `${locById.get(s.id).name || s.id}${g ? ` · ${g.id}` : ""}`,
+        distance: distances[i],
+        series: g ? stateLog.get(s.id, g.id) : []
+      };
+    });
+    $tsdTitle.textContent = `${c.name} — ${c.speedKmh} km/h`;
+    const offsets = drawTimeSpace($tsdCanvas, { stops, now, windowMs, speedKmh: c.speedKmh, GRINT: window.GRINT });
+    $tsdOffsets.innerHTML = `
+      <thead><tr><th>${escapeHTML(t("tsdFromTo"))}</th><th>${escapeHTML(t("tsdDistance"))}</th><th title="${escapeHTML(t("tsdOffsetTitle"))}">${escapeHTML(t("tsdOffset"))}</th><th title="${escapeHTML(t("tsdIdealTitle"))}">${escapeHTML(t("tsdIdeal"))}</th></tr></thead>
+      <tbody>${offsets.map(o => `
+        <tr>
+          <td>${escapeHTML(o.from)} → ${escapeHTML(o.to)}</td>
+          <td>${Math.round(o.distance)} m</td>
+          <td class="${o.measuredS !== null && Math.abs(o.measuredS - o.idealS) > OFFSET_TOLERANCE_S ? "off" : ""}">${o.measuredS === null ? "–" : `${o.measuredS} s`}</td>
+          <td>${o.idealS} s</td>
+        </tr>`).join("")}</tbody>`;
+  }
+
+  function showDiagram(show) {
+    $tsdPanel.hidden = !show;
+    clearInterval(tsdTimer);
+    tsdTimer = show ? setInterval(renderDiagram, TSD_REDRAW_MS) : null;
+    renderDiagram();
+  }
+
+  $corridorSelect.addEventListener("change", () => {
+    drawCorridorLine();
+    renderDiagram();
+  });
+  document.getElementById("corridorNew").addEventListener("click", () => startCorridorEdit(null));
+  document.getElementById("corridorEdit").addEventListener("click", () => {
+    const c = activeCorridor();
+    if (c) startCorridorEdit(c);
+  });
+  document.getElementById("corridorShow").addEventListener("click", () => showDiagram(true));
+  document.getElementById("corridorSave").addEventListener("click", saveCorridor);
+  document.getElementById("corridorCancel").addEventListener("click", endCorridorEdit);
+  document.getElementById("corridorDelete").addEventListener("click", deleteCorridor);
+  document.getElementById("tsdClose").addEventListener("click", () => showDiagram(false));
+  $tsdWindow.addEventListener("change", () => {
+    stateLog.setWindow(Number($tsdWindow.value));
+    renderDiagram();
+  });
+  $corridorStops.addEventListener("click", (ev) => {
+    const i = ev.target.dataset && ev.target.dataset.remove;
+    if (i === undefined) return;
+    corridorDraft.stops.splice(Number(i), 1);
+    renderDraftStops();
+  });
+  $corridorStops.addEventListener("change", (ev) => {
+    const li = ev.target.closest("li[data-i]");
+    if (!li) return;
+    const stop = corridorDraft.stops[Number(li.dataset.i)];
+    if (ev.target.value) stop.group = ev.target.value;
+    else delete stop.group;
+  });
+  loadCorridors();
+
+  // ----- Snapshot export
+  document.getElementById("exportBtn").addEventListener("click", () => {
+    const params = new URLSearchParams({ format: document.getElementById("exportFormat").value, lang });
+    // toBBoxString() is west,south,east,north = minLon,minLat,maxLon,maxLat
+    if (document.getElementById("exportBounds").checked) params.set("bbox", map.getBounds().toBBoxString());
+    const a = document.createElement("a");
+    a.href = `/api/export?${params}`;
+    a.download = "";
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+  });
+
+  // ----- Feed diagnostics
+  const $diagPanel = document.getElementById("diagPanel");
+  const $diag = document.getElementById("diag");
+
+  function diagFeedRow(kind, f) {
+    const d = f.detected || {};
+    const dropped = Object.entries(d.dropped || {}).map(([reason, n]) => `${n} ${reason}`).join(", ");
+    const format = [d.format || "–", d.delimiter ? `“${d.delimiter === "\t" ? "tab" : d.delimiter}”` : "",
+      d.decimalComma ? t("decimalComma") : "", d.root ? `<${d.root}>` : ""].filter(Boolean).join(" ");
+    return `
+      <tr>
+        <td>${escapeHTML(t(`feed_${kind}`))}</td>
+        <td>${escapeHTML(format)}${f.formatHint && f.formatHint !== "auto" ? ` (${escapeHTML(t("formatHint", { hint: f.formatHint }))})` : ""}</td>
+        <td>${escapeHTML(f.sample ? f.sample.source : "–")}</td>
+        <td>${d.parsed ?? 0} / ${d.records ?? 0}</td>
+        <td class="${dropped ? "diag-bad" : ""}">${escapeHTML(dropped || "–")}</td>
+      </tr>`;
+  }
+
+  function diagIds(label, list) {
+    if (!list.count) return "";
+    const more = list.count > list.ids.length ? ` … +${list.count - list.ids.length}` : "";
+    return `<p class="diag-ids"><strong>${escapeHTML(label)} (${list.count}):</strong> ${escapeHTML(list.ids.join(", "))}${more}</p>`;
+  }
+
+  function diagSample(kind, f) {
+    if (!f.sample) return "";
+    const s = f.sample;
+    return `
+      <details>
+        <summary>${escapeHTML(t(s.truncated ? "rawSampleTruncated" : "rawSample", { kind: t(`feed_${kind}`), contentType: s.contentType || "?", n: s.chars }))}</summary>
+        <pre>${escapeHTML(s.text)}</pre>
+      </details>`;
+  }
+
+  function renderDiagnostics(out) {
+    $diag.innerHTML = (out.providers || []).map(p => `
+      <h4>${escapeHTML(p.name)} <small>(${escapeHTML(p.id)})</small></h4>
+      <table class="diag-table">
+        <thead><tr>${["diagFeed", "diagFormat", "diagSource", "diagParsed", "diagDropped"].map(k => `<th>${escapeHTML(t(k))}</th>`).join("")}</tr></thead>
+        <tbody>${diagFeedRow("locations", p.locations)}${diagFeedRow("states", p.states)}</tbody>
+      </table>
+      ${["locations", "states"].map(k => (p[k].lastError ? `<p class="diag-ids diag-bad">${escapeHTML(t(`feed_${k}`))}: ${escapeHTML(p[k].lastError)}</p>` : "")).join("")}
+      ${["locations", "states"].flatMap(k => (p[k].detected?.droppedSamples || []).map(d =>
+        `<p class="diag-ids">${escapeHTML(t("droppedSample", { kind: t(`feed_${k}`), reason: d.reason }))}: <code>${escapeHTML(JSON.stringify(d.record))}</code></p>`)).join("")}
+      ${diagIds(t("statesWithoutLocation"), p.unmatchedStateIds)}
+      ${diagIds(t("locationsWithoutState"), p.locationsWithoutState)}
+      ${diagSample("locations", p.locations)}
+      ${diagSample("states", p.states)}`).join("");
+  }
+
+  async function refreshDiagnostics() {
+    try {
+      renderDiagnostics(await get("/api/diagnostics"));
+    } catch (e) {
+      console.error("[diagnostics] fetch/error:", e);
+      $diag.textContent = t("diagFailed");
     }
   }
 
-  // Initial + interval
+  $diagPanel.addEventListener("toggle", () => $diagPanel.open && refreshDiagnostics());
+  document.getElementById("diagRefresh").addEventListener("click", refreshDiagnostics);
+  if ($diagPanel.open) refreshDiagnostics();
+
+  // ----- Language switch: redo everything that was rendered from the string table
+  const $langSelect = document.getElementById("langSelect");
+  $langSelect.value = lang;
+  $langSelect.addEventListener("change", () => I18n.setLang($langSelect.value));
+  I18n.onLangChange((next) => {
+    lang = next;
+    $langSelect.value = next;
+    if (urlLang) {
+      urlLang = next;
+      syncUrl();
+    }
+    labelMapControls();
+    setConn(connLabel.key, connLabel.vars, connLabel.color);
+    renderLastUpdate();
+    showStaleness(staleness.source, staleness.ageMs);
+    renderLegend();
+    renderFilters();
+    renderList();
+    for (const [id, info] of markerInfo) {
+      const m = markers.get(id);
+      labelMarker(m, markerTitle(info));
+      if (m.isPopupOpen()) m.getPopup().update();
+    }
+    scheduleClusters();
+    renderAlerts(activeAlerts);
+    renderTiming();
+    if (replaying) $replayPlay.textContent = replay.playing ? t("pause") : t("play");
+    if (corridorDraft) renderDraftStops();
+    renderDiagram();
+    if ($diagPanel.open) refreshDiagnostics();
+  });
+
+  // ----- URL state: the hash follows the view; a changed hash (edited, or set by the page
+  // embedding this one) is applied. replaceState keeps panning out of the history.
+  function syncUrl() {
+    const c = map.getCenter();
+    const hash = UrlState.formatUrlState({
+      center: [c.lat, c.lng],
+      zoom: map.getZoom(),
+      id: selectedId,
+      cats: hiddenCats.size ? CATEGORY_ORDER.filter(cat => !hiddenCats.has(cat)) : null,
+      hide: chromeHidden,
+      lang: urlLang
+    });
+    // The hash holds the whole state, so query parameters from the opening URL are dropped
+    history.replaceState(null, "", `${location.pathname}#${hash}`);
+  }
+
+  function applyUrlState(state) {
+    applyChrome(state.hide);
+    map.invalidateSize();
+    if (state.lang) {
+      urlLang = state.lang;
+      I18n.setLang(state.lang, { persist: false });
+    }
+    hiddenCats.clear();
+    if (state.cats) for (const c of CATEGORY_ORDER) if (!state.cats.includes(c)) hiddenCats.add(c);
+    renderFilters();
+    applyCategoryFilter();
+    if (state.center) map.setView(state.center, state.zoom, { animate: false });
+    if (state.id && markers.has(state.id)) focusMarker(state.id);
+    else if (!state.id) map.closePopup();
+  }
+
+  if (urlState.id && markers.has(urlState.id)) focusMarker(urlState.id);
+  syncUrl();
+  map.on("moveend", syncUrl);
+  window.addEventListener("hashchange", () => applyUrlState(UrlState.parseUrlState("", location.hash)));
+
   if (locations.length) {
-    await tick();
-    setInterval(tick, pollInterval);
+    connectStream();
+    refreshStats();
+    refreshAlerts();
+    setInterval(() => {
+      refreshStats();
+      refreshAlerts();
+    }, STATS_REFRESH_MS);
   }
 })();
@@ -0,0 +1,160 @@
+// public/corridor.js
+// Time-space diagram for a green-wave corridor: distance along the corridor (y) against time
+// (x), one band per stop coloured by the GRINT category of its chosen signal group, with a
+// design-speed line from every green start so coordination offsets can be read off directly.
+// The state log is filled by app.js from the live updates; nothing here fetches.
+// ES module: attaches window.TampereCorridor for app.js.
+
+const EARTH_M = 6371000;
+const toRad = (deg) => (deg * Math.PI) / 180;
+
+function haversine(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_M * Math.asin(Math.sqrt(h));
+}
+
+// Cumulative straight-line distance (m) of each point from the first one
+export function corridorDistances(points) {
+  let d = 0;
+  return points.map((p, i) => (i === 0 ? 0 : (d += haversine(points[i - 1], p))));
+}
+
+// The signal group a stop follows: its configured group, else the first vehicle group
+export function stopGroup(entry, stop) {
+  const groups = (entry && entry.groups) || [];
+  return groups.find(g => g.id === stop.group)
+    || (!stop.group && (groups.find(g => g.type === "vehicle") || groups[0]))
+    || null;
+}
+
+// Per-signal-group state changes over a rolling window: key "id\0sg" -> [{ t, state }]
+export function createStateLog({ windowMs }) {
+  const series = new Map();
+
+  function record(entries, t) {
+    for (const e of entries) {
+      for (const g of e.groups || []) {
+        const key = `${e.id}\u0000${g.id}`;
+        if (!series.has(key)) series.set(key, []);
+        const list = series.get(key);
+        if (!list.length || list[list.length - 1].state !== g.state) list.push({ t, state: g.state });
+      }
+    }
+  }
+
+  // Keep the last change before the window start: it is the state the window opens with
+  function prune(now) {
+    const cutoff = now - windowMs;
+    for (const [key, list] of series) {
+      let i = 0;
+      while (i + 1 < list.length && list[i + 1].t <= cutoff) i++;
+      if (i) list.splice(0, i);
+      if (list.length === 1 && list[0].t < cutoff - windowMs) series.delete(key);
+    }
+  }
+
+  return {
+    record,
+    prune,
+    get: (id, sg) => series.get(`${id}\u0000${sg}`) || [],
+    setWindow(ms) { windowMs = ms; },
+  };
+}
+
+// Start times of green (entering the green category) within a series
+function greenStarts(list, GRINT) {
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    const green = GRINT.toCategory(list[i].state) === "green";
+    const wasGreen = i > 0 && GRINT.toCategory(list[i - 1].state) === "green";
+    if (green && !wasGreen && i > 0) out.push(list[i].t);
+  }
+  return out;
+}
+
+// stops: [{ name, distance, series: [{ t, state }] }]
+// Returns offsets between neighbours: [{ from, to, distance, measuredS, idealS }]
+export function drawTimeSpace(canvas, { stops, now, windowMs, speedKmh, GRINT }) {
+  const ctx = canvas.getContext("2d");
+  const W = canvas.width, H = canvas.height;
+  const left = 110, right = 10, top = 10, bottom = 22;
+  const t0 = now - windowMs;
+  const maxD = Math.max(1, stops.length ? stops[stops.length - 1].distance : 1);
+  const x = (t) => left + ((t - t0) / windowMs) * (W - left - right);
+  const y = (d) => H - bottom - (d / maxD) * (H - top - bottom);
+  const speed = (speedKmh * 1000) / 3600000; // m per ms
+
+  ctx.clearRect(0, 0, W, H);
+  ctx.font = "11px system-ui, sans-serif";
+  ctx.textBaseline = "middle";
+
+  // Time grid every minute
+  ctx.strokeStyle = "#1e2b42";
+  ctx.fillStyle = "#7a8799";
+  ctx.lineWidth = 1;
+  for (let m = Math.ceil(t0 / 60000) * 60000; m <= now; m += 60000) {
+    ctx.beginPath();
+    ctx.moveTo(x(m), top);
+    ctx.lineTo(x(m), H - bottom);
+    ctx.stroke();
+    ctx.textAlign = "center";
+    ctx.fillText(new Date(m).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" }), x(m), H - 8);
+  }
+
+  // Design-speed lines from each green start towards the next stop
+  ctx.setLineDash([4, 3]);
+  ctx.strokeStyle = "rgba(230,237,247,.55)";
+  for (let i = 0; i + 1 < stops.length; i++) {
+    const dd = stops[i + 1].distance - stops[i].distance;
+    for (const g of greenStarts(stops[i].series, GRINT)) {
+      if (g < t0) continue;
+      ctx.beginPath();
+      ctx.moveTo(x(g), y(stops[i].distance));
+      ctx.lineTo(x(g + dd / speed), y(stops[i + 1].distance));
+      ctx.stroke();
+    }
+  }
+  ctx.setLineDash([]);
+
+  // One band per stop
+  for (const s of stops) {
+    const yy = y(s.distance);
+    ctx.fillStyle = GRINT.color("unknown");
+    ctx.fillRect(left, yy - 4, W - left - right, 8);
+    s.series.forEach((seg, i) => {
+      const from = Math.max(seg.t, t0);
+      const to = i + 1 < s.series.length ? s.series[i + 1].t : now;
+      if (to <= t0) return;
+      ctx.fillStyle = GRINT.color(GRINT.toCategory(seg.state));
+      ctx.fillRect(x(from), yy - 4, Math.max(1, x(to) - x(from)), 8);
+    });
+    ctx.fillStyle = "#e6edf7";
+    ctx.textAlign = "right";
+    const label = s.name.length > 16 ? `${s.name.slice(0, 15)}…` : s.name;
+    ctx.fillText(label, left - 6, yy - 5);
+    ctx.fillStyle = "#7a8799";
+    ctx.fillText(`${Math.round(s.distance)} m`, left - 6, yy + 7);
+  }
+
+  // Offsets: latest green start at each stop against its downstream neighbour's
+  const offsets = [];
+  for (let i = 0; i + 1 < stops.length; i++) {
+    const a = greenStarts(stops[i].series, GRINT).pop();
+    const b = greenStarts(stops[i + 1].series, GRINT).pop();
+    const distance = stops[i + 1].distance - stops[i].distance;
+    offsets.push({
+      from: stops[i].name,
+      to: stops[i + 1].name,
+      distance,
+      measuredS: a !== undefined && b !== undefined ? Math.round((b - a) / 1000) : null,
+      idealS: Math.round(distance / speed / 1000),
+    });
+  }
+  return offsets;
+}
+
+if (typeof window !== "undefined") {
+  window.TampereCorridor = { corridorDistances, stopGroup, createStateLog, drawTimeSpace };
+}
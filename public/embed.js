@@ -0,0 +1,146 @@
+// public/embed.js
+// Embed widget (/embed): one intersection or a short list, live, without the map — for
+// iframes on intranet pages and lobby screens.
+//   /embed?id=<id>           one intersection, with its signal groups
+//   /embed?ids=<id>,<id>,…   up to EMBED_MAX_ITEMS intersections, one row each
+// Options: lang=fi|en, contrast=1 (high-contrast theme), groups=0|1 (signal group rows;
+// default on for a single intersection), link=0 (no links to the full map).
+// Names come from /api/v1/intersections, states from /api/stream (snapshot + changes);
+// EventSource reconnects by itself after the server's retry delay.
+
+(async function () {
+  const EMBED_MAX_ITEMS = 12;
+  const AGE_REFRESH_MS = 5000;
+  const I18n = window.TampereI18n;
+  const { t } = I18n;
+  const GRINT = window.GRINT;
+  const { escapeHTML, symbolHTML, fmtAge } = window.TampereUI;
+  const params = new URLSearchParams(location.search);
+
+  const ids = (params.get("ids") || params.get("id") || "").split(",").map(s => s.trim()).filter(Boolean).slice(0, EMBED_MAX_ITEMS);
+  const single = ids.length === 1;
+  const showGroups = params.has("groups") ? params.get("groups") === "1" : single;
+  const showLinks = params.get("link") !== "0";
+  if (params.get("lang")) I18n.setLang(params.get("lang"), { persist: false });
+  document.body.classList.toggle("high-contrast", params.get("contrast") === "1");
+  I18n.applyStatic();
+
+  const $list = document.getElementById("embedList");
+  const $status = document.getElementById("embedStatus");
+  const lang = I18n.getLang();
+  // id -> { id, name, groups, changedAt }
+  const items = new Map();
+
+  const stateKey = (groups) => groups.map(g => `${g.id}=${g.state}`).join("|");
+  const flagsOf = (groups) => ({
+    flashing: groups.some(g => GRINT.isFlashing(g.state)),
+    fault: groups.some(g => GRINT.isFault(g.state)),
+  });
+
+  function label(item) {
+    const { flashing, fault } = flagsOf(item.groups);
+    const category = [GRINT.categoryName(GRINT.summarize(item.groups), lang), flashing && t("flashing"), fault && t("fault")]
+      .filter(Boolean).join(", ");
+    return t("markerLabel", { name: item.name, category });
+  }
+
+  const ageText = (item) => t("embedChanged", { age: fmtAge(Date.now() - item.changedAt) });
+
+  function renderItem(item) {
+    const cat = GRINT.summarize(item.groups);
+    const name = escapeHTML(item.name);
+    const head = `${symbolHTML(cat, flagsOf(item.groups))}<strong>${name}</strong>
+      <span class="embed-cat">${escapeHTML(GRINT.categoryName(cat, lang))}</span>`;
+    const rows = showGroups && item.groups.length ? `<table class="sg-table">${item.groups.map(g => `
+      <tr>
+        <td>${symbolHTML(GRINT.toCategory(g.state), { flashing: GRINT.isFlashing(g.state), fault: GRINT.isFault(g.state) })}</td>
+        <td>${escapeHTML(g.id)}</td>
+        <td>${escapeHTML(g.type || "")}</td>
+        <td>${escapeHTML(GRINT.describe(g.state, lang))}</td>
+      </tr>`).join("")}</table>` : "";
+    return `
+      <li class="embed-item${single ? " single" : ""}" aria-label="${escapeHTML(label(item))}">
+        ${showLinks
+          ? `<a class="embed-head" href="/#id=${encodeURIComponent(item.id)}" target="_blank" rel="noopener" title="${escapeHTML(t("embedOpenMap"))}">${head}</a>`
+          : `<div class="embed-head">${head}</div>`}
+        ${item.changedAt ? `<small class="embed-age" data-id="${escapeHTML(item.id)}">${escapeHTML(ageText(item))}</small>` : ""}
+        ${rows}
+      </li>`;
+  }
+
+  function render() {
+    $list.innerHTML = ids.map(id => (items.has(id)
+      ? renderItem(items.get(id))
+      : `<li class="embed-item embed-error">${escapeHTML(t("embedUnknown", { id }))}</li>`)).join("");
+  }
+
+  function setStatus(text) {
+    $status.textContent = text;
+  }
+
+  if (!ids.length) {
+    $list.innerHTML = `<li class="embed-error">${escapeHTML(t("embedNoIds"))}</li>`;
+    setStatus("");
+    return;
+  }
+
+  try {
+    const r = await fetch("/api/v1/intersections", { cache: "no-store" });
+    if (!r.ok) throw new Error(`HTTP ${r.status}`);
+    const out = await r.json();
+    for (const it of out.intersections || []) {
+      if (!ids.includes(String(it.id))) continue;
+      items.set(String(it.id), {
+        id: String(it.id),
+        name: it.name || String(it.id),
+        groups: it.groups || [],
+        changedAt: it.lastChangedAt ? Date.parse(it.lastChangedAt) : null,
+      });
+    }
+  } catch (e) {
+    console.error("[embed] intersections fetch/error:", e);
+    $list.innerHTML = `<li class="embed-error">${escapeHTML(t("embedLoadFailed"))}</li>`;
+    setStatus("");
+    return;
+  }
+  document.title = `${t("embedTitle")}: ${[...items.values()].map(i => i.name).join(", ") || ids.join(", ")}`;
+  render();
+
+  // Category changes are announced; the rows themselves are not a live region
+  function applyStates(states, now = Date.now()) {
+    let changed = false;
+    for (const s of states) {
+      const item = items.get(String(s.id));
+      if (!item) continue;
+      const groups = s.groups || [];
+      if (stateKey(groups) === stateKey(item.groups)) continue;
+      const before = GRINT.summarize(item.groups);
+      item.groups = groups;
+      item.changedAt = now;
+      changed = true;
+      if (GRINT.summarize(groups) !== before) {
+        const el = document.getElementById("liveStatus");
+        el.textContent = label(item);
+      }
+    }
+    if (changed) render();
+  }
+
+  const es = new EventSource("/api/stream");
+  es.addEventListener("open", () => setStatus(t("streamLive")));
+  es.addEventListener("error", () => setStatus(t("embedOffline")));
+  // snapshot and status both carry { source, ageMs }
+  const showSource = ({ source, ageMs }) =>
+    setStatus(source === "cache" ? t("cachedAge", { age: fmtAge(ageMs || 0) }) : t("streamLive"));
+  es.addEventListener("snapshot", (ev) => {
+    const payload = JSON.parse(ev.data);
+    applyStates(payload.states || []);
+    showSource(payload);
+  });
+  es.addEventListener("changes", (ev) => applyStates(JSON.parse(ev.data).states || []));
+  es.addEventListener("status", (ev) => showSource(JSON.parse(ev.data)));
+  // Only the ages tick; re-rendering the rows would drop keyboard focus
+  setInterval(() => {
+    for (const el of $list.querySelectorAll(".embed-age[data-id]")) el.textContent = ageText(items.get(el.dataset.id));
+  }, AGE_REFRESH_MS);
+})();
@@ -0,0 +1,155 @@
+// Text format readers used by adapters.js: a delimiter-sniffing CSV parser and a small
+// non-validating XML parser. Dependency-free so the same code runs in the browser and Node
+// (Node has no DOMParser).
+
+const CSV_DELIMITERS = [",", ";", "\t", "|"];
+
+// Split CSV text into rows of fields (RFC 4180 quoting: "a ""b""", newlines inside quotes)
+function splitCSV(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === "") {
+      quoted = true;
+    } else if (c === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(r => r.some(f => f.trim() !== ""));
+}
+
+// The delimiter that splits the first few lines into the same (largest) number of columns
+function sniffDelimiter(text) {
+  const sample = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 5).join("\n");
+  let best = ",";
+  let bestCols = 1;
+  for (const d of CSV_DELIMITERS) {
+    const rows = splitCSV(sample, d);
+    if (!rows.length) continue;
+    const cols = rows[0].length;
+    if (cols > bestCols && rows.every(r => r.length === cols)) {
+      best = d;
+      bestCols = cols;
+    }
+  }
+  return best;
+}
+
+const DECIMAL_COMMA = /^-?\d+,\d+$/;
+
+// Parse CSV text; returns { delimiter, decimalComma, headers (lower-cased), rows }.
+// decimalComma is true when numeric-looking fields use "61,4978" (Finnish locale exports).
+export function parseCSV(text) {
+  const clean = String(text).replace(/^﻿/, "");
+  const delimiter = sniffDelimiter(clean);
+  const [header = [], ...rows] = splitCSV(clean, delimiter);
+  const decimalComma = delimiter !== "," && rows.some(r => r.some(f => DECIMAL_COMMA.test(f.trim())));
+  return { delimiter, decimalComma, headers: header.map(h => h.trim().toLowerCase()), rows };
+}
+
+// Number from a CSV/XML field, accepting a decimal comma; NaN for empty or junk
+export function toNumber(v, decimalComma = false) {
+  if (typeof v === "number") return v;
+  if (v === null || v === undefined) return NaN;
+  let s = String(v).trim();
+  if (!s) return NaN;
+  if (decimalComma || DECIMAL_COMMA.test(s)) s = s.replace(",", ".");
+  return Number(s);
+}
+
+// Looks like CSV: at least two lines, or one line with a delimiter
+export function looksLikeCSV(text) {
+  return typeof text === "string" && !looksLikeXML(text) && CSV_DELIMITERS.some(d => text.includes(d));
+}
+
+export function looksLikeXML(text) {
+  return typeof text === "string" && /^\s*</.test(text.replace(/^﻿/, ""));
+}
+
+/* ---------- XML ---------- */
+// Element tree: { name, local, attrs, children: Element[], text }; `local` drops the
+// namespace prefix so "d2:latitude" and "latitude" match the same way.
+
+const ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e] ?? m;
+  });
+}
+
+const localName = (name) => name.slice(name.indexOf(":") + 1);
+
+// Parse XML text into the root element; throws on unbalanced tags
+export function parseXML(text) {
+  const src = String(text).replace(/^﻿/, "");
+  const root = { name: "#document", local: "#document", attrs: {}, children: [], text: "" };
+  const stack = [root];
+  const tagRe = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+  let pos = 0;
+  let m;
+  while ((m = tagRe.exec(src))) {
+    const top = stack[stack.length - 1];
+    if (m.index > pos) top.text += decodeEntities(src.slice(pos, m.index));
+    pos = tagRe.lastIndex;
+    if (m[1] !== undefined) {
+      top.text += m[1];
+    } else if (m[2]) {
+      if (stack.length < 2 || top.name !== m[2]) throw new Error(`Unexpected </${m[2]}>`);
+      top.text = top.text.trim();
+      stack.pop();
+    } else if (m[3]) {
+      const attrs = {};
+      for (const a of m[4].matchAll(/([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attrs[localName(a[1])] = decodeEntities(a[2] ?? a[3]);
+      }
+      const el = { name: m[3], local: localName(m[3]), attrs, children: [], text: "" };
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    }
+  }
+  if (stack.length > 1) throw new Error(`Unclosed <${stack[stack.length - 1].name}>`);
+  return root;
+}
+
+// Depth-first list of descendant elements whose local name matches `test` (string or RegExp)
+export function findAll(el, test) {
+  const match = typeof test === "string" ? (n) => n === test : (n) => test.test(n);
+  const out = [];
+  const walk = (node) => {
+    for (const c of node.children) {
+      if (match(c.local)) out.push(c);
+      walk(c);
+    }
+  };
+  walk(el);
+  return out;
+}
+
+export function findFirst(el, test) {
+  return findAll(el, test)[0] || null;
+}
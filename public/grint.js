@@ -1,37 +1,166 @@
-// Map GRINT code (character or number) -> category and color label used by the UI.
-// Sourced from Tampere GRINT/DINT technical report. (We group states into Green/Amber/Red/Unknown.)
-// Ref: ITS Factory wiki + GRINT states PDF.
-const GRINT = {
-  toCategory(code) {
-    // Normalize
-    if (code === null || code === undefined) return "unknown";
+// GRINT (signal group) and DINT (detector) code tables, and the helpers the UI and server use.
+// Transcribed from the Tampere GRINT/DINT technical report (ITS Factory wiki + GRINT states PDF).
+// Every category, description, legend row and fault flag derives from these tables, so the
+// popup, the legend and the server can't disagree about what a code means.
+// ES module shared by the browser UI and server.js.
+//
+// Codes above 9 may arrive as single letters (A = 10 … Q = 26); normalize() maps them back.
+
+// category: green | amber | red | unknown; flashing: drawn blinking; fault: controller fault
+export const GRINT_CODES = [
+  { code: "0",  category: "red",   flashing: false, fault: false, fi: "Punakeltainen (vihreä alkamassa)",         en: "Red/amber (green about to start)" },
+  { code: "1",  category: "green", flashing: false, fault: false, fi: "Vihreä",                                   en: "Green" },
+  { code: "2",  category: "unknown", flashing: false, fault: false, fi: "Opastin pimeänä",                        en: "Signal dark (switched off)" },
+  { code: "3",  category: "green", flashing: false, fault: false, fi: "Vihreä, minimivihreä",                     en: "Green, minimum green" },
+  { code: "4",  category: "green", flashing: false, fault: false, fi: "Vihreä, jatkoaika",                        en: "Green, extension" },
+  { code: "5",  category: "green", flashing: false, fault: false, fi: "Vihreä, passiivinen",                      en: "Green, passive" },
+  { code: "6",  category: "green", flashing: false, fault: false, fi: "Vihreä, odottaa päättymistä",              en: "Green, waiting to end" },
+  { code: "7",  category: "green", flashing: false, fault: false, fi: "Vihreä, koordinoinnin pito",               en: "Green, coordination hold" },
+  { code: "8",  category: "green", flashing: false, fault: false, fi: "Vihreä, etuuspyyntö (joukkoliikenne)",     en: "Green, priority request (public transport)" },
+  { code: "9",  category: "red",   flashing: false, fault: false, fi: "Punainen, synkronointi",                   en: "Red, synchronisation" },
+  { code: "10", category: "amber", flashing: true,  fault: false, fi: "Vilkkuva vihreä (jalankulkijat)",          en: "Flashing green (pedestrians)" },
+  { code: "11", category: "amber", flashing: true,  fault: false, fi: "Vilkkuva keltainen",                       en: "Flashing amber" },
+  { code: "12", category: "amber", flashing: false, fault: false, fi: "Keltainen",                                en: "Amber" },
+  { code: "13", category: "red",   flashing: true,  fault: true,  fi: "Vika: keltainen vilkku tai pimeä",         en: "Malfunction: flashing amber or dark" },
+  { code: "14", category: "amber", flashing: false, fault: false, fi: "Keltainen, ajoneuvon ohjaama",             en: "Amber, vehicle actuated" },
+  { code: "15", category: "red",   flashing: false, fault: false, fi: "Punainen, ei pyyntöä",                     en: "Red, no request" },
+  { code: "16", category: "red",   flashing: false, fault: false, fi: "Punainen, pyyntö odottaa",                 en: "Red, request waiting" },
+  { code: "17", category: "red",   flashing: false, fault: false, fi: "Punainen, minimipunainen",                 en: "Red, minimum red" },
+  { code: "18", category: "red",   flashing: false, fault: false, fi: "Punainen, suojaväliaika",                  en: "Red, intergreen" },
+  { code: "19", category: "red",   flashing: false, fault: false, fi: "Punainen, etuus toiselle suunnalle",       en: "Red, priority to another group" },
+  { code: "20", category: "red",   flashing: false, fault: false, fi: "Punainen, vihollisryhmä vihreänä",         en: "Red, conflicting group green" },
+  { code: "21", category: "red",   flashing: false, fault: false, fi: "Punainen, koordinoinnin pito",             en: "Red, coordination hold" },
+  { code: "22", category: "red",   flashing: false, fault: false, fi: "Punainen, hätäajoneuvo-ohjaus",            en: "Red, emergency vehicle preemption" },
+  { code: "23", category: "red",   flashing: false, fault: false, fi: "Punainen, käsiohjaus",                     en: "Red, manual control" },
+  { code: "24", category: "red",   flashing: false, fault: false, fi: "Punainen, ohjelman vaihto",                en: "Red, plan change" },
+  { code: "25", category: "amber", flashing: false, fault: false, fi: "Keltainen, käynnistys",                    en: "Amber, start-up" },
+  { code: "26", category: "red",   flashing: false, fault: false, fi: "Punainen, käynnistys",                     en: "Red, start-up" },
+];
+
+// Detector states; category: free | occupied | fault
+export const DINT_CODES = [
+  { code: "0", category: "free",     fault: false, fi: "Vapaa",                        en: "Free" },
+  { code: "1", category: "occupied", fault: false, fi: "Varattu",                      en: "Occupied" },
+  { code: "2", category: "fault",    fault: true,  fi: "Vika: jatkuvasti varattu",     en: "Fault: stuck occupied" },
+  { code: "3", category: "fault",    fault: true,  fi: "Vika: jatkuvasti vapaa",       en: "Fault: stuck free" },
+  { code: "4", category: "fault",    fault: true,  fi: "Vika: ilmaisinpiiri katkennut", en: "Fault: loop open circuit" },
+  { code: "5", category: "free",     fault: false, fi: "Ilmaisin pois käytöstä",       en: "Detector disabled" },
+];
+
+export const CATEGORIES = ["green", "amber", "red", "unknown"];
+
+const CATEGORY_NAMES = {
+  green:   { fi: "Vihreä",                 en: "Green" },
+  amber:   { fi: "Keltainen / siirtymä",   en: "Amber / transition" },
+  red:     { fi: "Punainen",               en: "Red" },
+  unknown: { fi: "Tuntematon / ei tietoa", en: "Unknown / no data" },
+  mixed:   { fi: "Ryhmät eri tiloissa",    en: "Mixed (signal groups differ)" },
+};
+
+const byCode = new Map(GRINT_CODES.map(c => [c.code, c]));
+const dintByCode = new Map(DINT_CODES.map(c => [c.code, c]));
+
+function pick(entry, lang) {
+  return lang === "fi" ? entry.fi : entry.en;
+}
+
+// "1, 3–8" from a sorted list of numeric codes
+function ranges(codes) {
+  const nums = codes.map(Number).sort((a, b) => a - b);
+  const out = [];
+  for (let i = 0; i < nums.length; i++) {
+    let j = i;
+    while (j + 1 < nums.length && nums[j + 1] === nums[j] + 1) j++;
+    out.push(j > i ? `${nums[i]}–${nums[j]}` : String(nums[i]));
+    i = j;
+  }
+  return out.join(", ");
+}
+
+export const GRINT = {
+  codes: GRINT_CODES,
+  dint: DINT_CODES,
+
+  // Canonical code string: trims, drops leading zeros, maps letters A–Q to 10–26
+  normalize(code) {
+    if (code === null || code === undefined) return null;
     const c = String(code).trim();
-    // Greens
-    const greenSet = new Set(["1","3","4","5","6","7","8","10"]); // 10 = green blinking for pedestrian; treat as active/greenish
-    // Ambers
-    const amberSet = new Set(["10","11","12","14","25"]); // include fixed amber, blinking, vehicle actuated amber, startup amber
-    // Reds
-    // 0 (red/amber), 9 (red sync), 13 (amber/dark malfunction), 15–26 multiple red variants
-    const isRedRange = (x) => {
-      const n = Number.parseInt(x, 36); // handles 0-9, A=10, B=11...
-      // Map 'A'..'Z' too; but we’ll just handle typical 0..26 set
-      return ["0","9","13","15","16","17","18","19","20","21","22","23","24","26"].includes(x) ||
-             (Number.isFinite(Number(x)) && Number(x) >= 15 && Number(x) <= 26);
-    };
-
-    if (greenSet.has(c)) return "green";
-    if (amberSet.has(c)) return "amber";
-    if (isRedRange(c)) return "red";
-    return "unknown";
+    if (!c) return null;
+    if (/^[A-Za-z]$/.test(c)) return String(Number.parseInt(c, 36));
+    if (/^\d+$/.test(c)) return String(Number(c));
+    return c;
+  },
+  lookup(code) {
+    return byCode.get(GRINT.normalize(code)) || null;
   },
+  toCategory(code) {
+    const entry = GRINT.lookup(code);
+    return entry ? entry.category : "unknown";
+  },
+  isFault(code) {
+    const entry = GRINT.lookup(code);
+    return Boolean(entry && entry.fault);
+  },
+  isFlashing(code) {
+    const entry = GRINT.lookup(code);
+    return Boolean(entry && entry.flashing);
+  },
+  // Human-readable description; unknown codes are echoed back
+  describe(code, lang = "en") {
+    const entry = GRINT.lookup(code);
+    if (entry) return pick(entry, lang);
+    if (code === null || code === undefined || code === "") return lang === "fi" ? "Ei tietoa" : "No data";
+    return lang === "fi" ? `Tuntematon koodi ${code}` : `Unknown code ${code}`;
+  },
+  describeDetector(code, lang = "en") {
+    const entry = dintByCode.get(GRINT.normalize(code));
+    if (entry) return pick(entry, lang);
+    return lang === "fi" ? `Tuntematon ilmaisinkoodi ${code}` : `Unknown detector code ${code}`;
+  },
+  categoryName(cat, lang = "en") {
+    return pick(CATEGORY_NAMES[cat] || CATEGORY_NAMES.unknown, lang);
+  },
+  // Legend rows generated from the table: [{ category, label, codes: "1, 3–8", entries }]
+  legend(lang = "en") {
+    return [...CATEGORIES, "mixed"].map(category => {
+      const entries = GRINT_CODES.filter(c => c.category === category);
+      return {
+        category,
+        label: GRINT.categoryName(category, lang),
+        codes: ranges(entries.map(c => c.code)),
+        entries: entries.map(c => ({ code: c.code, flashing: c.flashing, fault: c.fault, text: pick(c, lang) })),
+      };
+    });
+  },
+  // Summary category for an intersection's signal groups: the shared category, or "mixed"
+  summarize(groups) {
+    if (!groups || !groups.length) return "unknown";
+    const cats = new Set(groups.map(g => GRINT.toCategory(g.state)));
+    return cats.size === 1 ? [...cats][0] : "mixed";
+  },
+  // Okabe–Ito hues: green and red stay apart for red–green colour blindness. The UI also
+  // draws a per-category shape and glyph, so no state is told by colour alone.
   color(cat) {
     switch (cat) {
-      case "green": return "#29a745";
-      case "amber": return "#ffc107";
-      case "red":   return "#dc3545";
+      case "green": return "#009e73";
+      case "amber": return "#f0b400";
+      case "red":   return "#d55e00";
+      case "mixed": return "#cc79a7";
       default:      return "#6c757d";
     }
+  },
+  // Glyph drawn inside the category's marker shape (the UI's colour-independent cue)
+  glyph(cat) {
+    switch (cat) {
+      case "green": return "↑";
+      case "amber": return "!";
+      case "red":   return "✕";
+      case "mixed": return "±";
+      default:      return "?";
+    }
   }
 };
 
-window.GRINT = GRINT;
+if (typeof window !== "undefined") {
+  window.GRINT = GRINT;
+}
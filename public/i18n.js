@@ -0,0 +1,405 @@
+// public/i18n.js
+// UI strings in Finnish and English, and the helpers that apply them.
+// Static markup names its strings with data-i18n="key" (text content) and
+// data-i18n-title / data-i18n-placeholder / data-i18n-aria-label (attributes); app.js calls
+// t() for everything it renders. "{name}" placeholders are filled from t()'s second argument.
+// The chosen language is kept in localStorage; the default follows the browser.
+// GRINT code descriptions and category names live in grint.js, which is bilingual already.
+// ES module: attaches window.TampereI18n for app.js.
+
+export const LANGS = { fi: "Suomi", en: "English" };
+
+export const STRINGS = {
+  en: {
+    appTitle: "Tampere Traffic Lights – Realtime",
+    heading: "🚦 Tampere Traffic Lights – Realtime",
+    language: "Language",
+    highContrast: "High contrast",
+    skipToList: "Skip to intersection list",
+    mapLabel: "Traffic light map. Arrow keys pan, + and − zoom, Tab moves between markers, Enter opens one.",
+
+    // Connection / status line
+    connecting: "connecting…",
+    loadingLocations: "loading locations…",
+    loadedLocations: "loaded {n} locations",
+    locationsFailedConn: "failed to load locations (see console)",
+    locationsFailed: "Failed to load locations",
+    updating: "updating…",
+    liveStates: "live: {n} states",
+    liveStatesUnmatched: "live: {n} states ({u} unmatched)",
+    updateError: "update error",
+    streamStates: "stream: {n} states",
+    streamLive: "stream: live",
+    streamConnected: "Live updates connected",
+    streamLost: "stream lost, polling…",
+    updatedAt: "• updated {time}",
+    locationsDemo: "Locations fell back to demo",
+    statesDemo: "States fell back to demo",
+    fallbackDemo: "fallback: demo",
+    cachedAge: "cached: {age} old",
+    cachedTitle: "Upstream is unreachable; showing the last good states payload",
+
+    // Legend, markers, popups
+    zoomIn: "Zoom in",
+    zoomOut: "Zoom out",
+    legendTitle: "Legend (GRINT)",
+    allCodes: "All GRINT codes",
+    flashing: "flashing",
+    fault: "fault",
+    markerLabel: "{name}: {category}",
+    clusterLabel: "{total} intersections: {counts}. Enter zooms in.",
+    popupLabel: "Intersection {name}",
+    popupId: "ID: {id}",
+    popupProvider: "Provider: {provider}",
+    popupSummary: "Summary: {category} • signal groups: {n}",
+    statsCycle: "Cycle {cycle} • max red {maxRed} • {perHour}/h",
+    statsShares: "G {g} / A {a} / R {r}",
+
+    // Intersection list
+    intersections: "Intersections",
+    searchPlaceholder: "Search name or id…",
+    sort: "Sort",
+    sortName: "by name",
+    sortChanged: "by time since last change",
+    categoryFilters: "Categories shown",
+
+    // Corridors + time-space diagram
+    corridorsTitle: "Corridors (green wave)",
+    corridor: "Corridor",
+    new: "New",
+    name: "Name",
+    designSpeed: "Design speed (km/h)",
+    corridorHelp: "Click markers on the map to add or remove stops, in driving order.",
+    corridorStops: "Stops",
+    save: "Save",
+    cancel: "Cancel",
+    delete: "Delete",
+    editStops: "Edit stops",
+    showDiagram: "Show diagram",
+    tsdLabel: "Time-space diagram",
+    timeWindow: "Time window",
+    close: "Close",
+    groupAuto: "auto",
+    groupToFollow: "Signal group to follow",
+    removeStop: "Remove stop",
+    savingFailed: "Saving failed ({status})",
+    savedCorridor: "Saved corridor {name}",
+    confirmDeleteCorridor: "Delete corridor {name}?",
+    deletingFailed: "Deleting failed ({status})",
+    corridorKeyPrompt: "API key for editing corridors (X-API-Key)",
+    alertKeyPrompt: "API key for acknowledging alerts (X-API-Key)",
+    noCorridor: "No corridor selected",
+    tsdFromTo: "From → to",
+    tsdDistance: "Distance",
+    tsdOffset: "Offset",
+    tsdOffsetTitle: "Latest green start downstream minus upstream",
+    tsdIdeal: "Ideal",
+    tsdIdealTitle: "Distance at design speed",
+
+    // Export
+    exportTitle: "Export snapshot",
+    exportFormat: "Export format",
+    download: "Download",
+    exportBounds: "Only the current map view",
+
+    // Alerts
+    alertsTitle: "Alerts",
+    alertsCount: "({unacked} new / {n})",
+    noAlerts: "No active alerts",
+    ack: "Ack",
+    acked: "ack",
+    alertSince: "since {time}",
+    faultAt: "Fault at {name}",
+    alertFault: "Fault",
+    alertStale: "Stale",
+    alertMissing: "No state",
+    alertOrphan: "No location",
+
+    // Signal timing
+    timingTitle: "Signal timing",
+    thIntersection: "Intersection",
+    thCycle: "Cycle",
+    thCycleTitle: "Observed cycle length",
+    thGreen: "G%",
+    thGreenTitle: "Green share",
+    thMaxRed: "Max red",
+    thMaxRedTitle: "Longest red",
+    thTrh: "Tr/h",
+    thTrhTitle: "Transitions per hour",
+    timingWindow: "Window: last {n} min",
+
+    // Replay
+    replayTitle: "Replay",
+    from: "From",
+    to: "To",
+    loadHistory: "Load from server history",
+    replayFile: "…or recorded JSONL",
+    play: "▶ Play",
+    pause: "⏸ Pause",
+    playbackSpeed: "Playback speed",
+    replayPosition: "Replay position",
+    exitReplay: "Exit replay",
+    replayBadge: "REPLAY",
+    replayConn: "replay: {n} transitions",
+    replayStarted: "Replay started: {label}",
+    replayEnded: "Back to the live view",
+    noTransitionsRange: "No transitions in the selected range",
+    pickRange: "Pick a valid time range first",
+    historyDisabled: "History recording is disabled on the server",
+    historyTruncated: "History truncated to the first {n} transitions",
+    historyFailed: "Failed to load history",
+    skippedLines: "Unreadable lines skipped: {n}",
+    noTransitionsFile: "No transitions found in file",
+    serverHistory: "server history",
+
+    // Config + feed diagnostics
+    configTitle: "Config",
+    diagTitle: "Feed diagnostics",
+    refresh: "Refresh",
+    diagFeed: "Feed",
+    diagFormat: "Format",
+    diagSource: "Source",
+    diagParsed: "Parsed",
+    diagDropped: "Dropped",
+    decimalComma: "decimal comma",
+    formatHint: "hint {hint}",
+    feed_locations: "locations",
+    feed_states: "states",
+    droppedSample: "{kind} dropped ({reason})",
+    statesWithoutLocation: "States without a location",
+    locationsWithoutState: "Locations without a state",
+    rawSample: "Raw {kind} sample ({contentType}, {n} chars)",
+    rawSampleTruncated: "Raw {kind} sample ({contentType}, {n} chars, truncated)",
+    diagFailed: "Failed to load diagnostics (see console)",
+
+    // Embed widget (/embed)
+    embedTitle: "Traffic lights",
+    embedNoIds: "No intersection chosen: add ?id=<id> or ?ids=<id>,<id> to the address.",
+    embedUnknown: "Unknown intersection: {id}",
+    embedOpenMap: "Open on the map",
+    embedChanged: "changed {age} ago",
+    embedLoadFailed: "Failed to load intersections",
+    embedOffline: "connection lost, reconnecting…",
+
+    footerMap: "Map © OpenStreetMap contributors • Leaflet UI • States mapped via GRINT/DINT definitions.",
+    footerSource: "Data source: City of Tampere traffic lights API (proxied).",
+  },
+
+  fi: {
+    appTitle: "Tampereen liikennevalot – reaaliaikainen",
+    heading: "🚦 Tampereen liikennevalot – reaaliaikainen",
+    language: "Kieli",
+    highContrast: "Korkea kontrasti",
+    skipToList: "Siirry risteysluetteloon",
+    mapLabel: "Liikennevalokartta. Nuolinäppäimet siirtävät, + ja − zoomaavat, Tab siirtyy merkistä toiseen, Enter avaa merkin.",
+
+    connecting: "yhdistetään…",
+    loadingLocations: "ladataan sijainteja…",
+    loadedLocations: "{n} sijaintia ladattu",
+    locationsFailedConn: "sijaintien lataus epäonnistui (ks. konsoli)",
+    locationsFailed: "Sijaintien lataus epäonnistui",
+    updating: "päivitetään…",
+    liveStates: "live: {n} tilaa",
+    liveStatesUnmatched: "live: {n} tilaa ({u} ilman sijaintia)",
+    updateError: "päivitysvirhe",
+    streamStates: "virta: {n} tilaa",
+    streamLive: "virta: live",
+    streamConnected: "Reaaliaikaiset päivitykset yhdistetty",
+    streamLost: "virta katkesi, haetaan ajoittain…",
+    updatedAt: "• päivitetty {time}",
+    locationsDemo: "Sijainnit vaihtuivat demodataan",
+    statesDemo: "Tilat vaihtuivat demodataan",
+    fallbackDemo: "varalla: demo",
+    cachedAge: "välimuisti: {age} vanha",
+    cachedTitle: "Lähderajapinta ei vastaa; näytetään viimeisimmät onnistuneesti haetut tilat",
+
+    zoomIn: "Lähennä",
+    zoomOut: "Loitonna",
+    legendTitle: "Selite (GRINT)",
+    allCodes: "Kaikki GRINT-koodit",
+    flashing: "vilkkuu",
+    fault: "vika",
+    markerLabel: "{name}: {category}",
+    clusterLabel: "{total} risteystä: {counts}. Enter lähentää.",
+    popupLabel: "Risteys {name}",
+    popupId: "Tunnus: {id}",
+    popupProvider: "Lähde: {provider}",
+    popupSummary: "Yhteenveto: {category} • opastinryhmiä: {n}",
+    statsCycle: "Kierto {cycle} • pisin punainen {maxRed} • {perHour}/h",
+    statsShares: "V {g} / K {a} / P {r}",
+
+    intersections: "Risteykset",
+    searchPlaceholder: "Hae nimellä tai tunnuksella…",
+    sort: "Järjestys",
+    sortName: "nimen mukaan",
+    sortChanged: "viimeisimmän muutoksen mukaan",
+    categoryFilters: "Näytettävät luokat",
+
+    corridorsTitle: "Käytävät (vihreä aalto)",
+    corridor: "Käytävä",
+    new: "Uusi",
+    name: "Nimi",
+    designSpeed: "Mitoitusnopeus (km/h)",
+    corridorHelp: "Lisää tai poista pysähdyksiä napsauttamalla karttamerkkejä ajojärjestyksessä.",
+    corridorStops: "Pysähdykset",
+    save: "Tallenna",
+    cancel: "Peruuta",
+    delete: "Poista",
+    editStops: "Muokkaa pysähdyksiä",
+    showDiagram: "Näytä kaavio",
+    tsdLabel: "Aika–matka-kaavio",
+    timeWindow: "Aikaikkuna",
+    close: "Sulje",
+    groupAuto: "autom.",
+    groupToFollow: "Seurattava opastinryhmä",
+    removeStop: "Poista pysähdys",
+    savingFailed: "Tallennus epäonnistui ({status})",
+    savedCorridor: "Käytävä {name} tallennettu",
+    confirmDeleteCorridor: "Poistetaanko käytävä {name}?",
+    deletingFailed: "Poisto epäonnistui ({status})",
+    corridorKeyPrompt: "Käytävien muokkauksen API-avain (X-API-Key)",
+    alertKeyPrompt: "Hälytysten kuittauksen API-avain (X-API-Key)",
+    noCorridor: "Käytävää ei ole valittu",
+    tsdFromTo: "Mistä → mihin",
+    tsdDistance: "Etäisyys",
+    tsdOffset: "Siirtymä",
+    tsdOffsetTitle: "Alavirran viimeisin vihreän alku miinus ylävirran",
+    tsdIdeal: "Ihanne",
+    tsdIdealTitle: "Ajoaika mitoitusnopeudella",
+
+    exportTitle: "Vie tilannekuva",
+    exportFormat: "Vientimuoto",
+    download: "Lataa",
+    exportBounds: "Vain nykyinen karttanäkymä",
+
+    alertsTitle: "Hälytykset",
+    alertsCount: "({unacked} uutta / {n})",
+    noAlerts: "Ei aktiivisia hälytyksiä",
+    ack: "Kuittaa",
+    acked: "kuitattu",
+    alertSince: "alkaen {time}",
+    faultAt: "Vika: {name}",
+    alertFault: "Vika",
+    alertStale: "Ei muutoksia",
+    alertMissing: "Ei tilaa",
+    alertOrphan: "Ei sijaintia",
+
+    timingTitle: "Valojen ajoitus",
+    thIntersection: "Risteys",
+    thCycle: "Kierto",
+    thCycleTitle: "Havaittu kiertoaika",
+    thGreen: "V%",
+    thGreenTitle: "Vihreän osuus",
+    thMaxRed: "Pisin pun.",
+    thMaxRedTitle: "Pisin punainen",
+    thTrh: "Vaihd./h",
+    thTrhTitle: "Tilanvaihdot tunnissa",
+    timingWindow: "Ikkuna: viimeiset {n} min",
+
+    replayTitle: "Toisto",
+    from: "Alkaen",
+    to: "Asti",
+    loadHistory: "Lataa palvelimen historiasta",
+    replayFile: "…tai tallennettu JSONL",
+    play: "▶ Toista",
+    pause: "⏸ Tauko",
+    playbackSpeed: "Toistonopeus",
+    replayPosition: "Toistokohta",
+    exitReplay: "Lopeta toisto",
+    replayBadge: "TOISTO",
+    replayConn: "toisto: {n} tilanvaihtoa",
+    replayStarted: "Toisto alkoi: {label}",
+    replayEnded: "Palattu reaaliaikaiseen näkymään",
+    noTransitionsRange: "Valitulla välillä ei ole tilanvaihtoja",
+    pickRange: "Valitse ensin kelvollinen aikaväli",
+    historyDisabled: "Historian tallennus on poissa käytöstä palvelimella",
+    historyTruncated: "Historia rajattiin {n} ensimmäiseen tilanvaihtoon",
+    historyFailed: "Historian lataus epäonnistui",
+    skippedLines: "Lukukelvottomia rivejä ohitettiin: {n}",
+    noTransitionsFile: "Tiedostosta ei löytynyt tilanvaihtoja",
+    serverHistory: "palvelimen historia",
+
+    configTitle: "Asetukset",
+    diagTitle: "Syötteiden diagnostiikka",
+    refresh: "Päivitä",
+    diagFeed: "Syöte",
+    diagFormat: "Muoto",
+    diagSource: "Lähde",
+    diagParsed: "Jäsennetty",
+    diagDropped: "Hylätty",
+    decimalComma: "desimaalipilkku",
+    formatHint: "vihje {hint}",
+    feed_locations: "sijainnit",
+    feed_states: "tilat",
+    droppedSample: "{kind}: hylätty ({reason})",
+    statesWithoutLocation: "Tilat ilman sijaintia",
+    locationsWithoutState: "Sijainnit ilman tilaa",
+    rawSample: "Raakanäyte: {kind} ({contentType}, {n} merkkiä)",
+    rawSampleTruncated: "Raakanäyte: {kind} ({contentType}, {n} merkkiä, katkaistu)",
+    diagFailed: "Diagnostiikan lataus epäonnistui (ks. konsoli)",
+
+    embedTitle: "Liikennevalot",
+    embedNoIds: "Risteystä ei ole valittu: lisää osoitteeseen ?id=<tunnus> tai ?ids=<tunnus>,<tunnus>.",
+    embedUnknown: "Tuntematon risteys: {id}",
+    embedOpenMap: "Avaa kartalla",
+    embedChanged: "muuttui {age} sitten",
+    embedLoadFailed: "Risteysten lataus epäonnistui",
+    embedOffline: "yhteys katkesi, yhdistetään uudelleen…",
+
+    footerMap: "Kartta © OpenStreetMapin tekijät • Leaflet-käyttöliittymä • Tilat GRINT/DINT-määritysten mukaan.",
+    footerSource: "Tietolähde: Tampereen kaupungin liikennevalorajapinta (välityspalvelimen kautta).",
+  },
+};
+
+const STORAGE_KEY = "trafficlights.lang";
+const listeners = new Set();
+
+function initialLang() {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    if (saved in LANGS) return saved;
+  } catch { /* storage disabled */ }
+  return (navigator.language || "en").toLowerCase().startsWith("fi") ? "fi" : "en";
+}
+
+let current = typeof window !== "undefined" ? initialLang() : "en";
+
+export function getLang() {
+  return current;
+}
+
+// Missing keys fall back to English, then to the key itself so gaps are visible
+export function t(key, vars = {}) {
+  const s = STRINGS[current][key] ?? STRINGS.en[key] ?? key;
+  return s.replace(/\{(\w+)\}/g, (m, k) => (vars[k] !== undefined ? String(vars[k]) : m));
+}
+
+export function applyStatic(root = document) {
+  for (const el of root.querySelectorAll("[data-i18n]")) el.textContent = t(el.dataset.i18n);
+  for (const attr of ["title", "placeholder", "aria-label"]) {
+    const data = `data-i18n-${attr}`;
+    for (const el of root.querySelectorAll(`[${data}]`)) el.setAttribute(attr, t(el.getAttribute(data)));
+  }
+  document.documentElement.lang = current;
+  document.title = t("appTitle");
+}
+
+// Switch language, relabel the static markup and tell subscribers to re-render.
+// persist: false for a language that only comes from the URL (deep links, embeds)
+export function setLang(lang, { persist = true } = {}) {
+  if (!(lang in LANGS) || lang === current) return;
+  current = lang;
+  if (persist) {
+    try { localStorage.setItem(STORAGE_KEY, lang); } catch { /* storage disabled */ }
+  }
+  applyStatic();
+  for (const fn of listeners) fn(lang);
+}
+
+export function onLangChange(fn) {
+  listeners.add(fn);
+}
+
+if (typeof window !== "undefined") {
+  window.TampereI18n = { LANGS, STRINGS, getLang, t, applyStatic, setLang, onLangChange };
+}
@@ -0,0 +1,140 @@
+// public/replay.js
+// Timeline playback of recorded signal group transitions ({ id, sg, from, to, at }).
+// The engine only keeps a virtual clock and the reconstructed states; app.js owns the UI.
+// ES module: attaches window.TampereReplay for app.js.
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 30, 60];
+const FRAME_MS = 100;
+
+// Parse a recorded JSONL file (one transition per line); bad lines are skipped and counted
+export function parseHistoryJSONL(text) {
+  const events = [];
+  let skipped = 0;
+  for (const line of String(text).split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    try {
+      const ev = JSON.parse(line);
+      const at = Date.parse(ev.at);
+      if (ev.id === undefined || !Number.isFinite(at)) { skipped++; continue; }
+      events.push({
+        id: String(ev.id),
+        sg: String(ev.sg ?? ev.id),
+        from: ev.from ?? null,
+        to: String(ev.to ?? ""),
+        at: ev.at
+      });
+    } catch {
+      skipped++;
+    }
+  }
+  return { events, skipped };
+}
+
+// seed: Map id -> { id, groups } used for groups that have no transition in the range.
+// onFrame(entries, t) receives the { id, state, groups } entries that changed since the last frame.
+// onTick({ playing, t, fromMs, toMs, speed }) fires on every clock change.
+export function createReplay({ onFrame, onTick }) {
+  let events = [];
+  let seed = new Map();
+  let fromMs = 0, toMs = 0, t = 0;
+  let cursor = 0; // index of the next event to apply
+  let speed = 1;
+  let timer = null;
+  let states = new Map(); // id -> Map(sg -> { id, type, state })
+
+  function typeOf(id, sg) {
+    const entry = seed.get(id);
+    const g = entry && entry.groups.find(x => x.id === sg);
+    return g ? g.type : "unknown";
+  }
+
+  // State at the start of the range: seed, overridden by each group's first "from"
+  function reset() {
+    states = new Map();
+    for (const [id, entry] of seed) {
+      states.set(id, new Map(entry.groups.map(g => [g.id, { ...g }])));
+    }
+    const seen = new Set();
+    for (const ev of events) {
+      const key = `${ev.id}\u0000${ev.sg}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      if (!states.has(ev.id)) states.set(ev.id, new Map());
+      states.get(ev.id).set(ev.sg, { id: ev.sg, type: typeOf(ev.id, ev.sg), state: ev.from == null ? "" : String(ev.from) });
+    }
+    cursor = 0;
+  }
+
+  function entryOf(id) {
+    const groups = [...states.get(id).values()];
+    const codes = new Set(groups.map(g => g.state));
+    return { id, state: codes.size === 1 ? groups[0].state : null, groups };
+  }
+
+  function applyUntil(limit) {
+    const touched = new Set();
+    while (cursor < events.length && Date.parse(events[cursor].at) <= limit) {
+      const ev = events[cursor++];
+      if (!states.has(ev.id)) states.set(ev.id, new Map());
+      const groups = states.get(ev.id);
+      const prev = groups.get(ev.sg);
+      groups.set(ev.sg, { id: ev.sg, type: prev ? prev.type : typeOf(ev.id, ev.sg), state: ev.to });
+      touched.add(ev.id);
+    }
+    return touched;
+  }
+
+  function emit(ids) {
+    if (ids.size) onFrame([...ids].map(entryOf), t);
+    onTick({ playing: Boolean(timer), t, fromMs, toMs, speed });
+  }
+
+  function frame() {
+    t = Math.min(toMs, t + FRAME_MS * speed);
+    emit(applyUntil(t));
+    if (t >= toMs) pause();
+  }
+
+  function load(list, range, seedMap) {
+    pause();
+    events = list
+      .filter(ev => { const at = Date.parse(ev.at); return at >= range.fromMs && at <= range.toMs; })
+      .sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+    fromMs = range.fromMs;
+    toMs = range.toMs;
+    seed = seedMap || new Map();
+    seek(fromMs);
+    return events.length;
+  }
+
+  function seek(ms) {
+    t = Math.max(fromMs, Math.min(toMs, ms));
+    reset();
+    applyUntil(t);
+    emit(new Set(states.keys()));
+  }
+
+  function play() {
+    if (timer || !events.length) return;
+    if (t >= toMs) seek(fromMs);
+    timer = setInterval(frame, FRAME_MS);
+    onTick({ playing: true, t, fromMs, toMs, speed });
+  }
+
+  function pause() {
+    clearInterval(timer);
+    timer = null;
+    onTick({ playing: false, t, fromMs, toMs, speed });
+  }
+
+  function setSpeed(x) {
+    speed = Math.max(1, Math.min(60, Number(x) || 1));
+    onTick({ playing: Boolean(timer), t, fromMs, toMs, speed });
+  }
+
+  return { load, play, pause, seek, setSpeed, get playing() { return Boolean(timer); } };
+}
+
+if (typeof window !== "undefined") {
+  window.TampereReplay = { createReplay, parseHistoryJSONL, REPLAY_SPEEDS };
+}
@@ -0,0 +1,45 @@
+// public/ui.js
+// Small rendering helpers shared by the map (app.js) and the embed widget (embed.js).
+// ES module: attaches window.TampereUI for both.
+
+import { GRINT } from "./grint.js";
+
+const FAULT_GLYPH = "⚠\uFE0E";
+
+// Small HTML escaper for text and attribute values
+export function escapeHTML(s) {
+  return String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#039;");
+}
+
+// Single color, or a pie of the group categories for several
+function chipBackground(colors) {
+  if (colors.length < 2) return colors[0];
+  const step = 360 / colors.length;
+  return `conic-gradient(${colors.map((c, i) => `${c} ${i * step}deg ${(i + 1) * step}deg`).join(", ")})`;
+}
+
+// Category symbol: shape + glyph per category (styles.css .sym), so no state is told by
+// colour alone; flashing codes blink and faults show a warning glyph.
+// colors: the marker's group colors (else the category's CSS color)
+export function symbolHTML(cat, { colors = null, flashing = false, fault = false, className = "" } = {}) {
+  const cls = ["sym", cat, flashing && "flashing", fault && "fault", className].filter(Boolean).join(" ");
+  const style = colors ? ` style="background:${chipBackground(colors)}"` : "";
+  return `<span class="${cls}"${style} aria-hidden="true"><i>${fault ? FAULT_GLYPH : GRINT.glyph(cat)}</i></span>`;
+}
+
+// Duration in ms as "42 s", "5 min" or "3 h"
+export function fmtAge(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 90) return `${s} s`;
+  if (s < 90 * 60) return `${Math.round(s / 60)} min`;
+  return `${Math.round(s / 3600)} h`;
+}
+
+if (typeof window !== "undefined") {
+  window.TampereUI = { escapeHTML, symbolHTML, fmtAge };
+}
@@ -0,0 +1,60 @@
+// public/urlstate.js
+// Map UI state in the URL, for shared links, kiosk screens and iframes:
+//   #map=<zoom>/<lat>/<lon>&id=<intersection>&cats=red,amber&hide=header,legend,footer&lang=fi
+// - map:  view centre and zoom
+// - id:   selected intersection; its popup is opened
+// - cats: categories shown (the list filters); absent = all
+// - hide: page chrome to hide; kiosk=1 hides all of it
+// - lang: fi | en, without changing the saved language
+// The same keys work as query parameters (?kiosk=1&id=…); the hash wins. app.js rewrites the
+// hash as the view changes (replaceState, so panning adds no history entries).
+// ES module: attaches window.TampereUrlState for app.js.
+
+export const CHROME = ["header", "legend", "footer"];
+
+function list(value) {
+  return value ? value.split(",").map(s => s.trim()).filter(Boolean) : null;
+}
+
+// search, hash: location.search / location.hash (with or without the leading ? / #)
+export function parseUrlState(search = "", hash = "") {
+  const params = new URLSearchParams(search.replace(/^\?/, ""));
+  for (const [k, v] of new URLSearchParams(hash.replace(/^#/, ""))) params.set(k, v);
+
+  let center = null;
+  let zoom = null;
+  const m = /^(\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)\/(-?\d+(?:\.\d+)?)$/.exec(params.get("map") || "");
+  if (m && Math.abs(m[2]) <= 90 && Math.abs(m[3]) <= 180) {
+    zoom = Number(m[1]);
+    center = [Number(m[2]), Number(m[3])];
+  }
+  const kiosk = /^(1|true|yes)$/i.test(params.get("kiosk") || "");
+  return {
+    center,
+    zoom,
+    id: params.get("id") || null,
+    cats: list(params.get("cats")),
+    hide: kiosk ? [...CHROME] : (list(params.get("hide")) || []).filter(c => CHROME.includes(c)),
+    lang: params.get("lang") || null,
+  };
+}
+
+// Keeps "/" and "," readable in the hash
+function enc(value) {
+  return encodeURIComponent(value).replace(/%2F/gi, "/").replace(/%2C/gi, ",");
+}
+
+// Hash for a state as parseUrlState returns it (without the "#"); empty parts are left out
+export function formatUrlState({ center, zoom, id, cats, hide, lang }) {
+  const parts = [];
+  if (center && zoom !== null) parts.push(`map=${Math.round(zoom * 100) / 100}/${center[0].toFixed(5)}/${center[1].toFixed(5)}`);
+  if (id) parts.push(`id=${enc(id)}`);
+  if (cats) parts.push(`cats=${enc(cats.join(","))}`);
+  if (hide && hide.length) parts.push(`hide=${enc(hide.join(","))}`);
+  if (lang) parts.push(`lang=${enc(lang)}`);
+  return parts.join("&");
+}
+
+if (typeof window !== "undefined") {
+  window.TampereUrlState = { CHROME, parseUrlState, formatUrlState };
+}
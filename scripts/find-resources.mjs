@@ -1,44 +1,206 @@
-// Usage: node scripts/find-resources.mjs
-// Fetches CKAN metadata and suggests .env entries
+// Usage: node scripts/find-resources.mjs [--ckan URL|FILE] [--base URL] [--env FILE] [--write]
+// Fetches the CKAN package metadata, tries every resource as a locations and as a states feed
+// with the same adapters the server and UI use, and suggests the best pair as .env entries.
+//
+//   --ckan URL|FILE  CKAN package_show URL or a saved package_show JSON file (mirrors,
+//                    offline tests). Relative resource URLs in a local file are read from
+//                    disk next to it.
+//   --base URL       TRAFFIC_API_BASE for relative resource URLs (default: .env, else the
+//                    Tampere API)
+//   --env FILE       .env file to merge into (default: .env in the repo root)
+//   --write          write without asking; otherwise asks first (and only on a terminal)
+//
+// Scoring: a pair scores by how many state ids match location ids, then by how many
+// records parsed, with a small bonus when the CKAN name/format looks right. The adapters
+// are lenient, so only states carrying at least one known GRINT code count.
 
+import path from "path";
+import readline from "node:readline/promises";
+import { fileURLToPath } from "url";
+import { parseArgs } from "node:util";
+import { readFile, rename, writeFile } from "node:fs/promises";
+import dotenv from "dotenv";
+import { parseLocations, parseStates } from "../public/adapters.js";
+import { GRINT } from "../public/grint.js";
+import { tryRemote } from "../lib/upstream.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
 const CKAN_URL = "https://data.tampere.fi/data/api/action/package_show?id=tampereen-liikennevalorajapinta";
+const DEFAULT_BASE = "https://trafficlights.tampere.fi";
+const TIMEOUT_MS = 10000;
+const MAX_BYTES = 20 * 1024 * 1024;
 
-async function main() {
-  const r = await fetch(CKAN_URL);
+const { values: opts } = parseArgs({
+  options: {
+    ckan: { type: "string", default: CKAN_URL },
+    base: { type: "string" },
+    env: { type: "string", default: path.join(ROOT, ".env") },
+    write: { type: "boolean", default: false },
+  },
+});
+
+const isURL = s => /^https?:\/\//i.test(s);
+const ckanIsFile = !isURL(opts.ckan);
+dotenv.config({ path: opts.env });
+const BASE = (opts.base || process.env.TRAFFIC_API_BASE || DEFAULT_BASE).replace(/\/+$/, "");
+
+async function loadPackage() {
+  if (ckanIsFile) return JSON.parse(await readFile(opts.ckan, "utf8"));
+  const r = await fetch(opts.ckan);
   if (!r.ok) {
-    console.error("Failed to fetch CKAN package_show:", r.status, await r.text().catch(()=>""), "\nCheck your network/VPN (some Tampere data may be geo-limited).");
+    console.error("Failed to fetch CKAN package_show:", r.status, await r.text().catch(()=>""), "\nCheck your network/VPN (some Tampere data may be geo-limited), or pass --ckan FILE.");
     process.exit(1);
   }
-  const json = await r.json();
+  return r.json();
+}
+
+// Resource body the way a provider would see it: JSON as data, anything else as text
+async function fetchBody(res) {
+  if (ckanIsFile && !isURL(res.url)) {
+    const file = path.resolve(path.dirname(opts.ckan), res.url.replace(/^\/+/, ""));
+    const text = await readFile(file, "utf8");
+    return /\.(geo)?json$/i.test(file) ? JSON.parse(text) : text;
+  }
+  const url = isURL(res.url) ? res.url : `${BASE}/${res.url.replace(/^\/+/, "")}`;
+  const out = await tryRemote(url, { kind: "find-resources", timeoutMs: TIMEOUT_MS, maxBytes: MAX_BYTES });
+  if (!out.ok) throw new Error(out.error || `HTTP ${out.status}`);
+  return out.data !== undefined ? out.data : out.text;
+}
+
+// Parse attempt with either adapter (optionally keeping only records passing `keep`); never throws
+function tryParse(parse, raw, keep = () => true) {
+  const report = {};
+  try {
+    const list = parse(raw, { report }).filter(keep);
+    return { ok: list.length > 0, count: list.length, ids: new Set(list.map(x => String(x.id))), format: report.format || null, dropped: report.dropped || {} };
+  } catch (e) {
+    return { ok: false, count: 0, ids: new Set(), format: null, dropped: {}, error: e?.message || String(e) };
+  }
+}
+
+function nameBonus(res, kind) {
+  if (kind === "locations") return /geojson/i.test(res.format) || /wgs84|geojson|location/i.test(res.name) ? 1 : 0;
+  return /json/i.test(res.format) && /state|status|signal/i.test(res.name) ? 1 : 0;
+}
+
+// Lexicographic comparison of score tuples
+function higher(a, b) {
+  for (let i = 0; i < a.length; i++) if (a[i] !== b[i]) return a[i] > b[i];
+  return false;
+}
+
+// Best locations/states pair: most matched ids, then most parsed records, then name hints
+function bestPair(candidates) {
+  let best = null;
+  for (const l of candidates.filter(c => c.locations.ok)) {
+    for (const s of candidates.filter(c => c !== l && c.states.ok)) {
+      const matched = [...s.states.ids].filter(id => l.locations.ids.has(id)).length;
+      const score = [matched, l.locations.count + s.states.count, nameBonus(l.res, "locations") + nameBonus(s.res, "states")];
+      if (!best || higher(score, best.score)) best = { l, s, matched, score };
+    }
+  }
+  return best;
+}
+
+// The value to put in .env: relative paths stay relative to TRAFFIC_API_BASE
+function envValue(res) {
+  return isURL(res.url) ? res.url : `/${res.url.replace(/^\/+/, "")}`;
+}
+
+// Replace existing KEY= lines in place, append the rest; returns the changed keys
+async function mergeEnv(file, values) {
+  const text = await readFile(file, "utf8").catch(e => (e.code === "ENOENT" ? "" : Promise.reject(e)));
+  const lines = text ? text.replace(/\n$/, "").split("\n") : [];
+  const changed = [];
+  const todo = new Map(Object.entries(values));
+  const out = lines.map(line => {
+    const m = /^(\s*(?:export\s+)?)([A-Z0-9_]+)\s*=(.*)$/.exec(line);
+    if (!m || !todo.has(m[2])) return line;
+    const value = todo.get(m[2]);
+    todo.delete(m[2]);
+    if (m[3].trim().replace(/^["']|["']$/g, "") === value) return line;
+    changed.push(m[2]);
+    return `${m[1]}${m[2]}=${value}`;
+  });
+  for (const [k, v] of todo) {
+    out.push(`${k}=${v}`);
+    changed.push(k);
+  }
+  if (changed.length) {
+    await writeFile(`${file}.tmp`, out.join("\n") + "\n", "utf8");
+    await rename(`${file}.tmp`, file);
+  }
+  return changed;
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) return false;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question(question);
+  rl.close();
+  return /^y(es)?$/i.test(answer.trim());
+}
+
+async function main() {
+  const json = await loadPackage();
   const pkg = json.result || json;
   const resources = (pkg.resources || []).map(r => ({
     name: r.name || r.title || "",
     format: (r.format || "").toUpperCase(),
     url: r.url || r.path || r.download_url || "",
     id: r.id
-  }));
+  })).filter(r => r.url);
 
-  console.log("Resources found:");
+  console.log(`Resources found (${ckanIsFile ? opts.ckan : "CKAN"}):`);
+  const candidates = [];
   for (const res of resources) {
-    console.log(`- ${res.name} [${res.format}] -> ${res.url}`);
-  }
-
-  // Heuristics to pick the right ones
-  const loc = resources.find(r =>
-    /geojson/i.test(r.format) || /wgs84|geojson|location/i.test(r.name)
-  );
-  const states = resources.find(r =>
-    /json/i.test(r.format) && /state|status|signal/i.test(r.name)
-  );
-
-  console.log("\nSuggested .env values (verify the URLs):\n");
-  console.log("TRAFFIC_API_BASE=https://trafficlights.tampere.fi");
-  if (loc)   console.log(`LOCATIONS_URL=${loc.url.startsWith("http") ? loc.url : "/"+loc.url.replace(/^\/+/, "")}`);
-  else       console.log(`LOCATIONS_URL=<PUT THE GEOJSON LOCATIONS URL HERE>`);
-  if (states) console.log(`STATES_URL=${states.url.startsWith("http") ? states.url : "/"+states.url.replace(/^\/+/, "")}`);
-  else        console.log(`STATES_URL=<PUT THE REALTIME STATES JSON URL HERE>`);
-  console.log("ENABLE_DEMO_MODE=false");
-  console.log("POLL_INTERVAL_MS=2000");
+    let raw;
+    try {
+      raw = await fetchBody(res);
+    } catch (e) {
+      console.log(`- ${res.name} [${res.format}] -> ${res.url}\n    fetch failed: ${e?.message || e}`);
+      continue;
+    }
+    const c = {
+      res,
+      locations: tryParse(parseLocations, raw),
+      states: tryParse(parseStates, raw, st => st.groups.some(g => GRINT.lookup(g.state))),
+    };
+    candidates.push(c);
+    const fmt = (p) => (p.ok ? `${p.count} (${p.format})` : "–");
+    console.log(`- ${res.name} [${res.format}] -> ${res.url}\n    as locations: ${fmt(c.locations)} • as states: ${fmt(c.states)}`);
+  }
+
+  const best = bestPair(candidates);
+  if (!best) {
+    console.error("\nNo resource pair parsed as locations + states. Check the URLs by hand, or the adapters' format support.");
+    process.exit(1);
+  }
+  const { l, s, matched } = best;
+  console.log(`\nBest pair: ${l.res.name} (${l.locations.count} locations, ${l.locations.format}) + ${s.res.name} (${s.states.count} states, ${s.states.format})`);
+  console.log(`${matched} of ${s.states.count} state ids match a location id.`);
+  if (!matched) console.warn("⚠️  No ids match: the pair parses, but the map would show no states. Verify before using.");
+
+  const values = {
+    TRAFFIC_API_BASE: BASE,
+    LOCATIONS_URL: envValue(l.res),
+    STATES_URL: envValue(s.res),
+    ENABLE_DEMO_MODE: "false",
+  };
+  console.log("\nSuggested .env values:\n");
+  for (const [k, v] of Object.entries(values)) console.log(`${k}=${v}`);
+
+  if (!matched) {
+    console.log("\nNot written: no state id matches a location id.");
+    return;
+  }
+  const write = opts.write || (await confirm(`\nWrite these to ${path.relative(process.cwd(), opts.env) || opts.env}? [y/N] `));
+  if (!write) {
+    if (!opts.write) console.log("\nNot written (pass --write to write without asking).");
+    return;
+  }
+  const changed = await mergeEnv(opts.env, values);
+  console.log(changed.length ? `\nUpdated ${opts.env}: ${changed.join(", ")}` : `\n${opts.env} already up to date.`);
 }
 
 main().catch(err => {
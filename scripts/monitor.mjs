@@ -0,0 +1,346 @@
+// Usage: node scripts/monitor.mjs [options]
+// Live terminal table of intersections, for when only SSH access to the box is at hand.
+//
+//   --server URL     read a running server's /api/v1/intersections + /api/stream
+//                    (default: MONITOR_SERVER, else http://localhost:$PORT)
+//   --direct         poll the upstream feeds configured in .env / PROVIDERS_FILE instead
+//   --id PATTERN     only ids matching PATTERN (repeatable; "*" globs, else substring)
+//   --name PATTERN   only names matching PATTERN (repeatable; case-insensitive)
+//   --category LIST  only these summary categories: green,amber,red,unknown,mixed,fault
+//   --sort KEY       id (default), name or changed (most recent first)
+//   --json           NDJSON: one line per intersection in the first snapshot, then per change
+//   --once           print the current snapshot and exit
+//
+// Time in state is known exactly in server mode; with --direct it counts from the first
+// poll, shown as "≥ 12s" until the intersection has changed once.
+
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "node:util";
+import dotenv from "dotenv";
+import { CATEGORIES, GRINT } from "../public/grint.js";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+dotenv.config({ path: path.join(ROOT, ".env") });
+
+const RENDER_MS = 1000;
+const HIGHLIGHT_MS = 3000;
+const RECONNECT_MS = 2000;
+
+const { values: opts } = parseArgs({
+  options: {
+    server: { type: "string" },
+    direct: { type: "boolean", default: false },
+    id: { type: "string", multiple: true, default: [] },
+    name: { type: "string", multiple: true, default: [] },
+    category: { type: "string" },
+    sort: { type: "string", default: "id" },
+    json: { type: "boolean", default: false },
+    once: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+  },
+});
+
+if (opts.help) {
+  const { readFile } = await import("node:fs/promises");
+  const src = await readFile(fileURLToPath(import.meta.url), "utf8");
+  console.log(src.split("\n").filter(l => l.startsWith("//")).map(l => l.slice(3)).join("\n"));
+  process.exit(0);
+}
+
+const SERVER = (opts.server || process.env.MONITOR_SERVER || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, "");
+const CATEGORY_FILTER = opts.category
+  ? new Set(opts.category.split(",").map(s => s.trim().toLowerCase()).filter(Boolean))
+  : null;
+for (const c of CATEGORY_FILTER || []) {
+  if (![...CATEGORIES, "mixed", "fault"].includes(c)) {
+    console.error(`Unknown category "${c}" (use ${[...CATEGORIES, "mixed", "fault"].join(", ")})`);
+    process.exit(2);
+  }
+}
+if (!["id", "name", "changed"].includes(opts.sort)) {
+  console.error(`Unknown --sort "${opts.sort}" (use id, name or changed)`);
+  process.exit(2);
+}
+
+// "*" / "?" globs match the whole value; anything else is a case-insensitive substring
+function matcher(pattern) {
+  if (!/[*?]/.test(pattern)) return v => String(v).toLowerCase().includes(pattern.toLowerCase());
+  const src = pattern.replace(/[.+^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*").replace(/\?/g, ".");
+  const re = new RegExp(`^${src}$`, "i");
+  return v => re.test(String(v));
+}
+const idTests = opts.id.map(matcher);
+const nameTests = opts.name.map(matcher);
+
+/* ---------- state ---------- */
+// id -> { id, name, provider, groups, category, fault, since, sinceExact, changedAt }
+const rows = new Map();
+const names = new Map(); // id -> { name, provider } from the locations
+let sourceLabel = "";
+let connLabel = "connecting…";
+let lastUpdateAt = 0;
+
+const groupsKey = groups => groups.map(g => `${g.id}=${g.state}`).join("|");
+
+function visible(row) {
+  if (idTests.length && !idTests.some(t => t(row.id))) return false;
+  if (nameTests.length && !nameTests.some(t => t(row.name))) return false;
+  if (CATEGORY_FILTER && !CATEGORY_FILTER.has(row.category) && !(row.fault && CATEGORY_FILTER.has("fault"))) return false;
+  return true;
+}
+
+function toRecord(type, row, now) {
+  return {
+    type,
+    at: new Date(now).toISOString(),
+    id: row.id,
+    name: row.name,
+    provider: row.provider,
+    category: row.category,
+    fault: row.fault,
+    groups: row.groups.map(g => ({ id: g.id, type: g.type, code: g.state, category: GRINT.toCategory(g.state) })),
+    since: row.since ? new Date(row.since).toISOString() : null,
+    sinceExact: row.sinceExact,
+  };
+}
+
+function emit(record) {
+  process.stdout.write(JSON.stringify(record) + "\n");
+}
+
+// entry: { id, groups, provider? }; since: ms of the last change when known
+function applyEntry(entry, now, { since = null, initial = false } = {}) {
+  const id = String(entry.id);
+  const prev = rows.get(id);
+  const groups = entry.groups || [];
+  if (prev && groupsKey(prev.groups) === groupsKey(groups)) return;
+  const loc = names.get(id);
+  const row = {
+    id,
+    name: loc?.name || prev?.name || entry.name || id,
+    provider: entry.provider || loc?.provider || prev?.provider || null,
+    groups,
+    category: GRINT.summarize(groups),
+    fault: groups.some(g => GRINT.isFault(g.state)),
+    since: since ?? now,
+    sinceExact: since !== null || Boolean(prev),
+    changedAt: prev && !initial ? now : 0,
+  };
+  rows.set(id, row);
+  // The first snapshot is printed as a whole by printSnapshot()
+  if (opts.json && !initial && visible(row)) emit(toRecord("change", row, now));
+}
+
+function removeEntry(id, now) {
+  const row = rows.get(String(id));
+  if (!row) return;
+  rows.delete(String(id));
+  if (opts.json && visible(row)) emit({ type: "removed", at: new Date(now).toISOString(), id: row.id, name: row.name });
+}
+
+/* ---------- rendering ---------- */
+const tty = process.stdout.isTTY && !process.env.NO_COLOR;
+const CAT_COLOR = { green: 32, amber: 33, red: 31, unknown: 90, mixed: 35 };
+const paint = (code, s) => (tty ? `\x1b[${code}m${s}\x1b[0m` : s);
+
+function ago(ms) {
+  const s = Math.max(0, Math.round(ms / 1000));
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.floor(s / 60)}m${String(s % 60).padStart(2, "0")}s`;
+  return `${Math.floor(s / 3600)}h${String(Math.floor((s % 3600) / 60)).padStart(2, "0")}m`;
+}
+
+const fit = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s.padEnd(n));
+
+function sortedRows() {
+  const list = [...rows.values()].filter(visible);
+  if (opts.sort === "name") return list.sort((a, b) => a.name.localeCompare(b.name));
+  if (opts.sort === "changed") return list.sort((a, b) => b.since - a.since);
+  return list.sort((a, b) => a.id.localeCompare(b.id, undefined, { numeric: true }));
+}
+
+function render(now = Date.now()) {
+  const list = sortedRows();
+  const width = process.stdout.columns || 100;
+  const nameW = Math.max(12, Math.min(36, width - 70));
+  const head = [
+    `Traffic lights — ${connLabel}${sourceLabel ? ` • ${sourceLabel}` : ""}`,
+    `${list.length}/${rows.size} intersections${lastUpdateAt ? ` • updated ${new Date(lastUpdateAt).toLocaleTimeString()}` : ""}`,
+    "",
+    paint(1, `${fit("ID", 16)} ${fit("NAME", nameW)} ${fit("CATEGORY", 9)} ${fit("IN STATE", 9)} CODES`),
+  ];
+  const room = tty ? Math.max(1, (process.stdout.rows || 40) - head.length - 1) : list.length;
+  const lines = list.slice(0, room).map(r => {
+    const cat = paint(CAT_COLOR[r.category] || 0, fit(r.category, 9));
+    const inState = fit(`${r.sinceExact ? "" : "≥ "}${ago(now - r.since)}`, 9);
+    const codes = r.groups.map(g => {
+      const txt = `${g.id}=${g.state}`;
+      return GRINT.isFault(g.state) ? paint("41;97", txt) : paint(CAT_COLOR[GRINT.toCategory(g.state)] || 0, txt);
+    }).join(" ");
+    let line = `${fit(r.id, 16)} ${fit(r.name, nameW)} ${cat} ${inState} ${codes}${r.fault ? " ⚠" : ""}`;
+    if (r.changedAt && now - r.changedAt < HIGHLIGHT_MS) line = paint(7, line);
+    return line;
+  });
+  if (list.length > room) lines.push(paint(90, `… ${list.length - room} more (narrow with --id / --name / --category)`));
+  const out = [...head, ...lines].join("\n");
+  process.stdout.write(tty ? `\x1b[H\x1b[2J${out}\n` : `${out}\n\n`);
+}
+
+function printSnapshot(now = Date.now()) {
+  if (opts.json) for (const r of sortedRows()) emit(toRecord("snapshot", r, now));
+  else render(now);
+}
+
+/* ---------- server mode ---------- */
+async function getJSON(url) {
+  const r = await fetch(url, { headers: { Accept: "application/json" } });
+  if (!r.ok) throw new Error(`${url} → HTTP ${r.status}`);
+  return r.json();
+}
+
+async function loadServerSnapshot({ initial }) {
+  const json = await getJSON(`${SERVER}/api/v1/intersections`);
+  const now = Date.now();
+  sourceLabel = Object.entries(json.source || {}).map(([id, s]) => `${id}: ${s.states || "-"}`).join(", ");
+  for (const it of json.intersections || []) {
+    names.set(it.id, { name: it.name, provider: it.provider });
+    if (!it.groups.length) continue;
+    applyEntry(it, now, { since: it.lastChangedAt ? Date.parse(it.lastChangedAt) : null, initial });
+  }
+  lastUpdateAt = now;
+}
+
+// Minimal SSE reader over fetch; resolves when the stream ends
+async function readStream(onEvent) {
+  const r = await fetch(`${SERVER}/api/stream`, { headers: { Accept: "text/event-stream" } });
+  if (!r.ok || !r.body) throw new Error(`${SERVER}/api/stream → HTTP ${r.status}`);
+  connLabel = `stream ${SERVER}`;
+  const decoder = new TextDecoder();
+  let buf = "";
+  for await (const chunk of r.body) {
+    buf += decoder.decode(chunk, { stream: true });
+    let cut;
+    while ((cut = buf.search(/\r?\n\r?\n/)) >= 0) {
+      const block = buf.slice(0, cut);
+      buf = buf.slice(cut).replace(/^\r?\n\r?\n/, "");
+      let event = "message";
+      const data = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (line.startsWith("event:")) event = line.slice(6).trim();
+        else if (line.startsWith("data:")) data.push(line.slice(5).trimStart());
+      }
+      if (data.length) onEvent(event, JSON.parse(data.join("\n")));
+    }
+  }
+}
+
+async function runServer() {
+  await loadServerSnapshot({ initial: true });
+  if (opts.once) return printSnapshot();
+  if (opts.json) printSnapshot();
+  for (;;) {
+    try {
+      await readStream((event, payload) => {
+        const now = Date.now();
+        if (event === "changes") {
+          for (const s of payload.states || []) applyEntry(s, now);
+          for (const id of payload.removed || []) removeEntry(id, now);
+          lastUpdateAt = now;
+        } else if (event === "status") {
+          sourceLabel = `source: ${payload.source || "-"}${payload.ageMs ? ` (${ago(payload.ageMs)} old)` : ""}`;
+        }
+      });
+      connLabel = "stream ended — reconnecting…";
+    } catch (e) {
+      connLabel = `disconnected (${e?.cause?.code || e?.message || e}) — reconnecting…`;
+    }
+    await new Promise(resolve => setTimeout(resolve, RECONNECT_MS));
+    // Catch up on whatever changed while the stream was down
+    await loadServerSnapshot({ initial: false }).catch(() => {});
+  }
+}
+
+/* ---------- direct mode ---------- */
+async function runDirect() {
+  const { createProvider, loadProviderConfigs, providerConfigFromEnv } = await import("../lib/providers.js");
+  const env = process.env;
+  const defaults = {
+    timeoutMs: Number(env.UPSTREAM_TIMEOUT_MS || 3000),
+    pollIntervalMs: Number(env.POLL_INTERVAL_MS || 2000),
+    backoffAfterFails: Number(env.BACKOFF_AFTER_FAILS || 3),
+    backoffWindowMs: Number(env.BACKOFF_WINDOW_MS || 30000),
+    demo: false,
+    maxStaleMs: { locations: Infinity, states: Infinity },
+  };
+  const configs = env.PROVIDERS_FILE
+    ? await loadProviderConfigs(path.resolve(ROOT, env.PROVIDERS_FILE), defaults)
+    : [providerConfigFromEnv(env, defaults)];
+  // The monitor never serves demo data: it is there to show what upstream really says
+  const providers = configs.map(cfg => createProvider({ ...cfg, demo: false }, null));
+  connLabel = `direct ${providers.map(p => p.base || p.id).join(", ")}`;
+
+  for (const p of providers) {
+    const out = await p.fetchLocations();
+    if (!out) console.error(`[${p.id}] locations feed failed; names will show as ids`);
+    for (const loc of p.parseLocations(out)) names.set(loc.id, { name: loc.name, provider: p.id });
+  }
+
+  let initial = true;
+  async function poll(p) {
+    const out = await p.fetchStates();
+    const now = Date.now();
+    if (!out) {
+      connLabel = `direct: ${p.id} states failed (${p.status().states.lastError || "no data"})`;
+      return;
+    }
+    const parsed = p.parseStates(out);
+    for (const s of parsed) applyEntry(s, now, { initial });
+    const seen = new Set(parsed.map(s => s.id));
+    for (const row of [...rows.values()]) if (row.provider === p.id && !seen.has(row.id)) removeEntry(row.id, now);
+    sourceLabel = `source: ${out.source}`;
+    lastUpdateAt = now;
+  }
+
+  await Promise.all(providers.map(poll));
+  initial = false;
+  if (!lastUpdateAt) throw new Error("No states feed answered; check TRAFFIC_API_BASE / STATES_URL or PROVIDERS_FILE");
+  if (opts.once) return printSnapshot();
+  if (opts.json) printSnapshot();
+  for (const p of providers) {
+    const loop = async () => {
+      await poll(p).catch(e => (connLabel = `direct: ${p.id} error ${e?.message || e}`));
+      setTimeout(loop, p.pollIntervalMs);
+    };
+    setTimeout(loop, p.pollIntervalMs);
+  }
+  await new Promise(() => {}); // runs until Ctrl+C
+}
+
+/* ---------- main ---------- */
+async function main() {
+  if (!opts.json && !opts.once) {
+    if (tty) process.stdout.write("\x1b[?25l");
+    const restore = () => {
+      if (tty) process.stdout.write("\x1b[?25h\n");
+      process.exit(0);
+    };
+    process.on("SIGINT", restore);
+    process.on("SIGTERM", restore);
+    // Piped output only gets a new table when something changed
+    let renderedAt = -1;
+    setInterval(() => {
+      if (!tty && renderedAt === lastUpdateAt) return;
+      renderedAt = lastUpdateAt;
+      render();
+    }, RENDER_MS);
+  }
+  await (opts.direct ? runDirect() : runServer());
+}
+
+main().catch(err => {
+  if (tty && !opts.json) process.stdout.write("\x1b[?25h");
+  console.error(err?.message || err);
+  if (!opts.direct) console.error(`Is the server running at ${SERVER}? (--server URL, or --direct)`);
+  process.exit(1);
+});
@@ -4,6 +4,20 @@ import dotenv from "dotenv";
 import path from "path";
 import { fileURLToPath } from "url";
 import { readFile } from "node:fs/promises";
+import { CATEGORIES, GRINT } from "./public/grint.js";
+import { tryRemote, useCapture } from "./lib/upstream.js";
+import { createPlayback, createRecorder } from "./lib/capture.js";
+import { counter, gauge, render as renderMetrics } from "./lib/metrics.js";
+import { createProvider, loadProviderConfigs, providerConfigFromEnv } from "./lib/providers.js";
+import { createCacheStore } from "./lib/cache-store.js";
+import { createProxyGuard, sameKey } from "./lib/proxy-guard.js";
+import { EXPORT_FORMATS, parseBBox } from "./lib/export.js";
+import { CorridorError, createCorridorStore } from "./lib/corridors.js";
+import { SubscriptionError, createWebhookService, publicSubscription } from "./lib/webhooks.js";
+import { createHistoryStore } from "./lib/history.js";
+import { createStatsTracker } from "./lib/stats.js";
+import { createAlertEngine } from "./lib/alerts.js";
+import { createSimulator, loadSignalPlan } from "./lib/simulator.js";
 
 dotenv.config();
 
@@ -11,11 +25,10 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
+// Set when running behind a reverse proxy, so req.ip (used by the proxy rate limit) is the client
+if (process.env.TRUST_PROXY) app.set("trust proxy", process.env.TRUST_PROXY);
 
 const PORT = process.env.PORT || 3000;
-const BASE = (process.env.TRAFFIC_API_BASE || "").replace(/\/+$/, "");
-const LOCATIONS_URL = process.env.LOCATIONS_URL || "";
-const STATES_URL = process.env.STATES_URL || "";
 const DEMO_CONFIGURED = String(process.env.ENABLE_DEMO_MODE || "true").toLowerCase() === "true";
 const POLL_MS = Number(process.env.POLL_INTERVAL_MS || 2000);
 
@@ -24,17 +37,191 @@ const UPSTREAM_TIMEOUT_MS = Number(process.env.UPSTREAM_TIMEOUT_MS || 3000);
 const BACKOFF_AFTER_FAILS = Number(process.env.BACKOFF_AFTER_FAILS || 3);
 const BACKOFF_WINDOW_MS = Number(process.env.BACKOFF_WINDOW_MS || 30000);
 
-// Fallback flags for /config
-let lastLocationsFallback = false;
-let lastStatesFallback = false;
+// Upstream cache: persisted to disk, refused once older than the max-stale TTL
+const CACHE_PERSIST = String(process.env.ENABLE_CACHE_PERSIST || "true").toLowerCase() === "true";
+const CACHE_DIR = path.resolve(__dirname, process.env.CACHE_DIR || "data/cache");
+const CACHE_MAX_STALE_MS = {
+  locations: Number(process.env.CACHE_MAX_STALE_LOCATIONS_MS || 7 * 24 * 60 * 60 * 1000),
+  states: Number(process.env.CACHE_MAX_STALE_STATES_MS || 5 * 60 * 1000),
+};
+
+// Upstream record / playback (lib/capture.js). CAPTURE_MODE=record writes every upstream
+// response to CAPTURE_DIR; CAPTURE_MODE=playback serves CAPTURE_FILE (default: the newest
+// capture in CAPTURE_DIR) in place of the network, CAPTURE_SPEED times faster than recorded.
+// Playback never touches the persisted cache, so live caches stay clean. CAPTURE_MAX_BYTES caps
+// the stored bodies of requests that have no size limit of their own.
+const CAPTURE_MODE = String(process.env.CAPTURE_MODE || "off").toLowerCase();
+const CAPTURE_DIR = path.resolve(__dirname, process.env.CAPTURE_DIR || "data/captures");
+const CAPTURE_FILE = process.env.CAPTURE_FILE ? path.resolve(__dirname, process.env.CAPTURE_FILE) : "";
+const CAPTURE_SPEED = Number(process.env.CAPTURE_SPEED || 1);
+const CAPTURE_LOOP = String(process.env.CAPTURE_LOOP || "false").toLowerCase() === "true";
+const CAPTURE_MAX_BYTES = Number(process.env.CAPTURE_MAX_BYTES || 20 * 1024 * 1024);
+if (!["off", "record", "playback"].includes(CAPTURE_MODE)) {
+  throw new Error(`CAPTURE_MODE must be off, record or playback (got "${CAPTURE_MODE}")`);
+}
+const capture = CAPTURE_MODE === "record"
+  ? createRecorder({ dir: CAPTURE_DIR, maxBodyBytes: CAPTURE_MAX_BYTES })
+  : CAPTURE_MODE === "playback"
+    ? await createPlayback({ source: CAPTURE_FILE || CAPTURE_DIR, speed: CAPTURE_SPEED, loop: CAPTURE_LOOP })
+    : null;
+useCapture(capture);
+
+// /api/proxy lockdown. PROXY_ALLOW is a comma-separated list of path globs; by default only
+// the providers' own feed paths are proxied. PROXY_API_KEY (if set) is required as X-API-Key.
+const PROXY_ENABLED = String(process.env.ENABLE_PROXY || "true").toLowerCase() === "true";
+const PROXY_ALLOW = (process.env.PROXY_ALLOW || "").split(",").map((s) => s.trim()).filter(Boolean);
+const PROXY_API_KEY = process.env.PROXY_API_KEY || "";
+const PROXY_RATE_PER_MINUTE = Number(process.env.PROXY_RATE_PER_MINUTE || 30);
+const PROXY_MAX_BYTES = Number(process.env.PROXY_MAX_BYTES || 2 * 1024 * 1024);
+const PROXY_CONTENT_TYPES = (process.env.PROXY_CONTENT_TYPES || "json,xml,csv,text/plain")
+  .split(",").map((s) => s.trim().toLowerCase()).filter(Boolean);
+
+// /health probes upstream at most once per HEALTH_CACHE_MS; other calls get the last result
+const HEALTH_CACHE_MS = Number(process.env.HEALTH_CACHE_MS || 30000);
+
+// Optional multi-provider config; without it the legacy env vars define a single provider
+const PROVIDERS_FILE = process.env.PROVIDERS_FILE ? path.resolve(__dirname, process.env.PROVIDERS_FILE) : "";
+
+// State-transition history (JSONL on local disk)
+const HISTORY_ENABLED = String(process.env.ENABLE_HISTORY || "true").toLowerCase() === "true";
+const HISTORY_DIR = path.resolve(__dirname, process.env.HISTORY_DIR || "data/history");
+const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS || 7);
+const history = HISTORY_ENABLED
+  ? createHistoryStore({ dir: HISTORY_DIR, retentionDays: HISTORY_RETENTION_DAYS })
+  : null;
+
+// Rolling signal timing statistics window
+const STATS_WINDOW_MS = Number(process.env.STATS_WINDOW_MINUTES || 60) * 60 * 1000;
+const stats = createStatsTracker({ windowMs: STATS_WINDOW_MS });
+
+// Alerting: stale threshold and how often the poller re-reads locations.
+// ALERTS_API_KEY, when set, guards acknowledging alerts (X-API-Key)
+const ALERTS_API_KEY = process.env.ALERTS_API_KEY || "";
+const ALERT_STALE_MS = Number(process.env.ALERT_STALE_MINUTES || 5) * 60 * 1000;
+const LOCATIONS_REFRESH_MS = Number(process.env.LOCATIONS_REFRESH_MS || 300000);
+const alerts = createAlertEngine({ staleMs: ALERT_STALE_MS });
+
+// Demo states come from a deterministic signal plan simulator.
+// SIM_SEED overrides the plan's seed; SIM_START pins the plan clock (ISO or epoch ms).
+// Without SIM_START the plan starts at server start, so runs are only reproducible (two
+// runs lining up exactly) with SIM_START set.
+const SIM_PLAN_FILE = path.resolve(__dirname, process.env.SIM_PLAN_FILE || "sample-data/signal-plans.json");
+const SIM_START_MS = process.env.SIM_START
+  ? (/^\d+$/.test(process.env.SIM_START) ? Number(process.env.SIM_START) : Date.parse(process.env.SIM_START))
+  : Date.now();
+if (!Number.isFinite(SIM_START_MS)) {
+  throw new Error(`SIM_START must be an ISO time or epoch ms (got "${process.env.SIM_START}")`);
+}
+const simulator = DEMO_CONFIGURED
+  ? createSimulator(await loadSignalPlan(SIM_PLAN_FILE), {
+      seed: process.env.SIM_SEED !== undefined ? process.env.SIM_SEED : undefined,
+      startMs: SIM_START_MS,
+    })
+  : null;
+
+// Green-wave corridors, edited from the UI; the example file is served until the first save.
+// CORRIDORS_API_KEY, when set, guards PUT/DELETE /api/corridors (X-API-Key)
+const CORRIDORS_FILE = path.resolve(__dirname, process.env.CORRIDORS_FILE || "data/corridors.json");
+const CORRIDORS_API_KEY = process.env.CORRIDORS_API_KEY || "";
+const corridors = createCorridorStore({
+  file: CORRIDORS_FILE,
+  seedFile: path.join(__dirname, "sample-data/corridors.example.json"),
+});
+await corridors.load();
+
+// Webhook subscriptions (persisted). /api/subscriptions needs SUBSCRIPTIONS_API_KEY (X-API-Key)
+// and is disabled without one. WEBHOOK_ALLOW_HOSTS is a comma-separated list of host names or
+// IP addresses that may be loopback/private, e.g. a receiver on the internal network.
+const SUBSCRIPTIONS_FILE = path.resolve(__dirname, process.env.SUBSCRIPTIONS_FILE || "data/subscriptions.json");
+const SUBSCRIPTIONS_API_KEY = process.env.SUBSCRIPTIONS_API_KEY || "";
+const WEBHOOK_ALLOW_HOSTS = (process.env.WEBHOOK_ALLOW_HOSTS || "")
+  .split(",").map((s) => s.trim().replace(/^\[|\]$/g, "").toLowerCase()).filter(Boolean);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000);
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 5000);
+const webhooks = createWebhookService({
+  file: SUBSCRIPTIONS_FILE,
+  allowHosts: WEBHOOK_ALLOW_HOSTS,
+  maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+  retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+  timeoutMs: WEBHOOK_TIMEOUT_MS,
+});
+await webhooks.load();
+
+// Embed widget (/embed) for iframes; EMBED_FRAME_ANCESTORS, when set, limits who may frame
+// it (CSP frame-ancestors, e.g. "'self' https://intra.example.fi")
+const EMBED_FRAME_ANCESTORS = process.env.EMBED_FRAME_ANCESTORS || "";
 
-// Simple caches
-let cacheLocations = { data: null, contentType: "application/json", at: 0 };
-let cacheStates = { data: null, contentType: "application/json", at: 0 };
+// For the widget page however it is requested: /embed, or /embed.html from the static files
+function setEmbedHeaders(res) {
+  if (EMBED_FRAME_ANCESTORS) res.setHeader("Content-Security-Policy", `frame-ancestors ${EMBED_FRAME_ANCESTORS}`);
+}
+
+/* ---------- PROVIDERS ---------- */
+const providerDefaults = {
+  timeoutMs: UPSTREAM_TIMEOUT_MS,
+  pollIntervalMs: POLL_MS,
+  backoffAfterFails: BACKOFF_AFTER_FAILS,
+  backoffWindowMs: BACKOFF_WINDOW_MS,
+  demo: DEMO_CONFIGURED,
+  maxStaleMs: CACHE_MAX_STALE_MS,
+};
+const cacheStore = CACHE_PERSIST && CAPTURE_MODE !== "playback" ? createCacheStore(CACHE_DIR) : null;
+const demoFeeds = simulator && {
+  locations: () => readDemoJSON("sample-data/locations.geojson"),
+  states: (now) => simulator.statesAt(now),
+};
+const providers = (PROVIDERS_FILE
+  ? await loadProviderConfigs(PROVIDERS_FILE, providerDefaults)
+  : [providerConfigFromEnv(process.env, providerDefaults)]
+).map((cfg) => createProvider(cfg, demoFeeds, { cacheStore }));
+await Promise.all(providers.map((p) => p.init()));
+const providerById = new Map(providers.map((p) => [p.id, p]));
+
+// Which sources a set of fetch results came from; drives X-Cache / X-Demo-Fallback
+function sourcesOf(outs) {
+  return new Set(outs.filter(Boolean).map((o) => o.source));
+}
 
-// Failure counters / backoff
-let locFailCount = 0, statesFailCount = 0;
-let locNextTryAt = 0, statesNextTryAt = 0;
+// Oldest payload age in ms among the given fetch results (optionally one source only)
+function maxAgeMs(outs, source) {
+  const now = Date.now();
+  const ages = outs.filter((o) => o && (!source || o.source === source)).map((o) => now - (o.at || now));
+  return ages.length ? Math.max(...ages) : 0;
+}
+
+// Sets the X-Cache / X-Demo-Fallback / Age headers and counts which path the response took
+const servedResponses = counter(
+  "trafficlights_responses_total",
+  "API responses by route and path: live, cache (X-Cache) or demo (X-Demo-Fallback)."
+);
+function markServed(res, route, outs) {
+  const sources = sourcesOf(outs);
+  res.setHeader("Age", String(Math.floor(maxAgeMs(outs) / 1000)));
+  if (sources.has("cache")) {
+    res.setHeader("X-Cache", `hit-${route}`);
+    res.setHeader("X-Cache-Age", String(Math.floor(maxAgeMs(outs, "cache") / 1000)));
+    servedResponses.inc({ route, path: "cache" });
+  }
+  if (sources.has("demo")) {
+    res.setHeader("X-Demo-Fallback", route);
+    servedResponses.inc({ route, path: "demo" });
+  }
+  if (!sources.has("cache") && !sources.has("demo")) servedResponses.inc({ route, path: "live" });
+}
+
+// Express 4 leaves a rejected async handler unhandled; hand the error to next() instead
+const asyncRoute = (handler) => (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+
+// X-API-Key check for write routes; open while `key` is empty
+function requireApiKey(key) {
+  return (req, res, next) => {
+    if (key && !sameKey(req.get("X-API-Key") || "", key)) {
+      return res.status(401).json({ error: "Missing or invalid X-API-Key" });
+    }
+    next();
+  };
+}
 
 app.use(morgan("dev"));
 
@@ -43,221 +230,645 @@ app.use(
     etag: false,
     lastModified: false,
     cacheControl: false,
-    setHeaders: (res) => {
+    setHeaders: (res, filePath) => {
       res.setHeader("Cache-Control", "no-store, must-revalidate");
+      if (path.basename(filePath) === "embed.html") setEmbedHeaders(res);
     },
   })
 );
 
-function toAbs(urlOrPath) {
-  if (!urlOrPath) return null;
-  if (/^https?:\/\//i.test(urlOrPath)) return urlOrPath;
-  if (!BASE) return null;
-  return `${BASE}/${urlOrPath.replace(/^\/+/, "")}`;
-}
-
 app.get("/config", (_req, res) => {
+  const statuses = providers.map((p) => p.status());
   res.json({
-    pollIntervalMs: POLL_MS,
+    pollIntervalMs: Math.min(...providers.map((p) => p.pollIntervalMs)),
     demoConfigured: DEMO_CONFIGURED,
     fallbackActive: {
-      locations: lastLocationsFallback,
-      states: lastStatesFallback,
+      locations: statuses.some((s) => s.locations.fallback),
+      states: statuses.some((s) => s.states.fallback),
     },
-    usingRemote: Boolean(LOCATIONS_URL && STATES_URL),
-    base: BASE ? new URL(BASE).origin : null,
+    usingRemote: statuses.some((s) => s.locations.configured && s.states.configured),
+    base: statuses[0].base,
     // debug info
     upstream: {
       timeoutMs: UPSTREAM_TIMEOUT_MS,
       backoffAfterFails: BACKOFF_AFTER_FAILS,
       backoffWindowMs: BACKOFF_WINDOW_MS,
-      locFailCount, statesFailCount,
-      locNextTryAt, statesNextTryAt
-    }
+    },
+    providersFile: PROVIDERS_FILE ? path.relative(__dirname, PROVIDERS_FILE) : null,
+    providers: statuses,
+    stream: {
+      url: "/api/stream",
+      clients: streamClients.size,
+      lastPollAt,
+    },
+    history: {
+      enabled: HISTORY_ENABLED,
+      retentionDays: HISTORY_RETENTION_DAYS,
+    },
+    cache: {
+      persist: Boolean(cacheStore),
+      dir: cacheStore ? path.relative(__dirname, CACHE_DIR) : null,
+      maxStaleMs: CACHE_MAX_STALE_MS,
+    },
+    simulator: simulator
+      ? { planFile: path.relative(__dirname, SIM_PLAN_FILE), seed: simulator.seed, startMs: simulator.startMs }
+      : null,
+    proxy: {
+      enabled: PROXY_ENABLED,
+      apiKeyRequired: Boolean(PROXY_API_KEY),
+      allow: proxyGuard.allow,
+      ratePerMinute: PROXY_RATE_PER_MINUTE,
+      maxBytes: PROXY_MAX_BYTES,
+    },
+    corridorsFile: path.relative(__dirname, CORRIDORS_FILE),
+    corridorsApiKeyRequired: Boolean(CORRIDORS_API_KEY),
+    capture: capture
+      ? { mode: capture.mode, ...capture.status(), file: path.relative(__dirname, capture.file) }
+      : { mode: "off" },
+    webhooks: {
+      subscriptions: webhooks.list().length,
+      apiEnabled: Boolean(SUBSCRIPTIONS_API_KEY),
+      allowHosts: WEBHOOK_ALLOW_HOSTS,
+      maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+      retryBaseMs: WEBHOOK_RETRY_BASE_MS,
+    },
+    embed: {
+      url: "/embed",
+      frameAncestors: EMBED_FRAME_ANCESTORS || null,
+    },
+    statsWindowMs: STATS_WINDOW_MS,
+    alertStaleMs: ALERT_STALE_MS,
+    alertsApiKeyRequired: Boolean(ALERTS_API_KEY)
   });
 });
 
-// Fetch with timeout + nice error
-async function fetchWithTimeout(url, ms) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(new Error("timeout")), ms);
-  try {
-    const r = await fetch(url, { signal: ctrl.signal, cache: "no-store" });
-    return r;
-  } finally {
-    clearTimeout(t);
-  }
-}
-
-// Remote getter with JSON/text handling
-async function tryRemote(url, kind /* 'locations' | 'states' */) {
-  try {
-    const r = await fetchWithTimeout(url, UPSTREAM_TIMEOUT_MS);
-    if (!r.ok) {
-      const txt = await r.text().catch(() => "");
-      return { ok: false, status: r.status, error: `Upstream ${r.status}`, text: txt };
-    }
-    const ct = (r.headers.get("content-type") || "").toLowerCase();
-    if (ct.includes("application/json") || ct.includes("+json")) {
-      const data = await r.json();
-      return { ok: true, data, contentType: "application/json" };
-    }
-    const text = await r.text();
-    return { ok: true, text, contentType: ct || "text/plain; charset=utf-8" };
-  } catch (e) {
-    console.warn(`[${kind}] fetch error:`, e?.name || "", e?.message || e);
-    return { ok: false, status: 502, error: String(e) };
-  }
-}
-
 async function readDemoJSON(relPath) {
   const fp = path.join(__dirname, relPath);
   const text = await readFile(fp, "utf8");
   return JSON.parse(text);
 }
 
-function shouldBackoff(nextTryAt) {
-  return Date.now() < nextTryAt;
+/* ---------- LOCATIONS ---------- */
+// All providers' locations, normalized and namespaced
+async function fetchAllLocations() {
+  const outs = await Promise.all(providers.map((p) => p.fetchLocations()));
+  const locations = outs.flatMap((out, i) => providers[i].parseLocations(out));
+  return { outs, locations };
 }
 
-function onFail(kind) {
-  if (kind === "locations") {
-    locFailCount++;
-    if (locFailCount >= BACKOFF_AFTER_FAILS) {
-      locNextTryAt = Date.now() + BACKOFF_WINDOW_MS;
-      locFailCount = 0; // reset counter for next window
-    }
-  } else {
-    statesFailCount++;
-    if (statesFailCount >= BACKOFF_AFTER_FAILS) {
-      statesNextTryAt = Date.now() + BACKOFF_WINDOW_MS;
-      statesFailCount = 0;
-    }
-  }
+app.get("/api/locations", asyncRoute(async (_req, res) => {
+  const { outs, locations } = await fetchAllLocations();
+  if (!outs.some(Boolean)) return res.status(500).json({ error: "LOCATIONS_URL failed, and demo mode disabled" });
+  markServed(res, "locations", outs);
+  res.json(locations);
+}));
+
+/* ---------- STATES ---------- */
+// Served from the poller's latest states so N open tabs don't mean N upstream requests.
+app.get("/api/states", asyncRoute(async (_req, res) => {
+  if (latestPayloads.size < providers.length) await pollAll();
+  const outs = [...latestPayloads.values()];
+  if (!outs.some(Boolean)) return res.status(500).json({ error: "STATES_URL failed, and demo mode disabled" });
+  markServed(res, "states", outs);
+  res.json(snapshot());
+}));
+
+/* ---------- STATE POLLER + SSE ---------- */
+// Each provider is polled at its own interval; the merged latest normalized states
+// (namespaced id -> { id, state, groups, provider }) feed /api/states, and only the
+// changed ids are pushed to /api/stream clients.
+const latestStates = new Map();
+const stateChangedAt = new Map(); // id -> ms of the last observed change
+const latestPayloads = new Map(); // provider id -> last fetchStates() result
+const pollsInFlight = new Map(); // provider id -> promise
+let lastPollAt = 0;
+let latestLocationIds = null; // Set of location ids, refreshed every LOCATIONS_REFRESH_MS
+let locationsRefreshedAt = 0;
+const streamClients = new Set();
+const SSE_HEARTBEAT_MS = 15000;
+
+function sseSend(res, event, payload) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(payload)}\n\n`);
 }
 
-function onSuccess(kind) {
-  if (kind === "locations") {
-    locFailCount = 0;
-    locNextTryAt = 0;
-  } else {
-    statesFailCount = 0;
-    statesNextTryAt = 0;
-  }
+function broadcast(event, payload) {
+  for (const res of streamClients) sseSend(res, event, payload);
 }
 
-/* ---------- LOCATIONS ---------- */
-app.get("/api/locations", async (_req, res) => {
-  lastLocationsFallback = false;
+function snapshot() {
+  return [...latestStates.values()];
+}
 
-  const remoteUrl = toAbs(LOCATIONS_URL);
-  const now = Date.now();
+// Freshness of the states being served: worst-case age over all providers, plus per provider
+function statusPayload() {
+  const outs = [...latestPayloads.values()];
+  return {
+    at: lastPollAt,
+    source: aggregateSource(),
+    ageMs: maxAgeMs(outs),
+    providers: Object.fromEntries([...latestPayloads].map(([id, out]) => [id, out
+      ? { source: out.source, dataAt: out.at, ageMs: Date.now() - out.at }
+      : { source: null, dataAt: null, ageMs: null }])),
+  };
+}
+
+// Compact comparable form of an intersection's signal group states
+function groupsKey(entry) {
+  return entry.groups.map((g) => `${g.id}=${g.state}`).join("|");
+}
+
+// Per-signal-group transitions between two observations of one intersection
+function diffGroups(prev, next, at) {
+  const before = new Map(prev.groups.map((g) => [g.id, g.state]));
+  return next.groups
+    .filter((g) => before.get(g.id) !== g.state)
+    .map((g) => ({ id: next.id, sg: g.id, from: before.get(g.id) ?? null, to: g.state, at }));
+}
+
+// "demo" if any provider is on demo data, else "cache" if any is stale, else "remote"
+function aggregateSource() {
+  const sources = sourcesOf([...latestPayloads.values()]);
+  return ["demo", "cache", "remote"].find((s) => sources.has(s)) || null;
+}
 
-  if (remoteUrl && !shouldBackoff(locNextTryAt)) {
-    const out = await tryRemote(remoteUrl, "locations");
-    if (out.ok) {
-      onSuccess("locations");
-      if (out.contentType === "application/json") {
-        cacheLocations = { data: out.data, contentType: out.contentType, at: now };
-        return res.json(out.data);
+async function pollProvider(provider) {
+  // Coalesce overlapping calls (route + timer) into one upstream request
+  if (pollsInFlight.has(provider.id)) return pollsInFlight.get(provider.id);
+  const run = (async () => {
+    try {
+      const out = await provider.fetchStates();
+      lastPollAt = Date.now();
+      latestPayloads.set(provider.id, out);
+      if (!out) return null;
+
+      const parsed = provider.parseStates(out);
+      const changed = [];
+      const transitions = [];
+      const atIso = new Date(lastPollAt).toISOString();
+      for (const s of parsed) {
+        const prev = latestStates.get(s.id);
+        if (!prev || groupsKey(prev) !== groupsKey(s)) {
+          if (prev) transitions.push(...diffGroups(prev, s, atIso));
+          latestStates.set(s.id, s);
+          stateChangedAt.set(s.id, lastPollAt);
+          changed.push(s);
+        }
       }
-      cacheLocations = { data: out.text, contentType: out.contentType, at: now };
-      return res.type(out.contentType).send(out.text);
+      // Ids that dropped out of this provider's feed are forgotten (and show up as missing-state)
+      const seen = new Set(parsed.map((s) => s.id));
+      const removed = [...latestStates.values()]
+        .filter((s) => s.provider === provider.id && !seen.has(s.id))
+        .map((s) => s.id);
+      for (const id of removed) {
+        latestStates.delete(id);
+        stateChangedAt.delete(id);
+      }
+      if (history) history.record(transitions);
+      stats.observe(parsed, lastPollAt);
+      stats.forget(removed);
+
+      if (lastPollAt - locationsRefreshedAt > LOCATIONS_REFRESH_MS) await refreshLocationIds();
+      // Until every provider has answered once, "missing" would just mean "not polled yet"
+      if (latestPayloads.size === providers.length) {
+        const alertChanges = alerts.evaluate({
+          locationIds: latestLocationIds,
+          entries: latestStates,
+          changedAt: stateChangedAt,
+          now: lastPollAt,
+        });
+        if (alertChanges.raised.length || alertChanges.cleared.length) broadcast("alerts", alertChanges);
+      }
+      webhooks.evaluate(latestStates, lastPollAt);
+      if (changed.length || removed.length) {
+        broadcast("changes", {
+          at: lastPollAt, dataAt: out.at, provider: provider.id, source: out.source, states: changed, removed,
+        });
+      }
+      broadcast("status", statusPayload());
+      return out;
+    } catch (e) {
+      console.warn(`[poller/${provider.id}] error:`, e?.message || e);
+      return latestPayloads.get(provider.id) || null;
+    } finally {
+      pollsInFlight.delete(provider.id);
     }
-    console.warn(`[locations] upstream failed (${out.status}): ${out.error}`);
-    onFail("locations");
+  })();
+  pollsInFlight.set(provider.id, run);
+  return run;
+}
+
+function pollAll() {
+  return Promise.all(providers.map(pollProvider));
+}
+
+async function refreshLocationIds() {
+  locationsRefreshedAt = Date.now();
+  try {
+    const { locations } = await fetchAllLocations();
+    if (locations.length) latestLocationIds = new Set(locations.map((l) => l.id));
+  } catch (e) {
+    console.warn("[poller] locations refresh error:", e?.message || e);
   }
+}
 
-  // Serve cached if available
-  if (cacheLocations.data) {
-    res.setHeader("X-Cache", "hit-locations");
-    return cacheLocations.contentType === "application/json"
-      ? res.json(cacheLocations.data)
-      : res.type(cacheLocations.contentType).send(cacheLocations.data);
+function startPoller() {
+  for (const provider of providers) {
+    const loop = async () => {
+      await pollProvider(provider);
+      setTimeout(loop, provider.pollIntervalMs);
+    };
+    loop();
   }
+  setInterval(() => {
+    for (const res of streamClients) res.write(": ping\n\n");
+  }, SSE_HEARTBEAT_MS).unref();
+  if (history) {
+    history.prune();
+    setInterval(() => history.prune(), 60 * 60 * 1000).unref();
+  }
+}
+
+app.get("/api/stream", (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-store",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: ${Math.max(POLL_MS, 1000)}\n\n`);
+  sseSend(res, "snapshot", {
+    at: lastPollAt,
+    source: aggregateSource(),
+    ageMs: maxAgeMs([...latestPayloads.values()]),
+    states: snapshot(),
+  });
+  streamClients.add(res);
+  req.on("close", () => streamClients.delete(res));
+});
+
+/* ---------- NORMALIZED API ---------- */
+// Locations joined with the poller's latest states
+function joinIntersections(locations) {
+  return locations.map((loc) => {
+    const entry = latestStates.get(loc.id);
+    const groups = entry ? entry.groups : [];
+    const changedAt = stateChangedAt.get(loc.id);
+    return {
+      id: loc.id,
+      provider: loc.provider,
+      name: loc.name,
+      lat: loc.lat,
+      lon: loc.lon,
+      state: entry ? entry.state : null,
+      category: GRINT.summarize(groups),
+      groups: groups.map((g) => ({
+        ...g,
+        category: GRINT.toCategory(g.state),
+        description: { fi: GRINT.describe(g.state, "fi"), en: GRINT.describe(g.state, "en") },
+      })),
+      lastChangedAt: changedAt ? new Date(changedAt).toISOString() : null,
+    };
+  });
+}
 
-  // Demo fallback
-  if (DEMO_CONFIGURED) {
-    lastLocationsFallback = true;
-    res.setHeader("X-Demo-Fallback", "locations");
-    const text = await readFile(path.join(__dirname, "sample-data", "locations.geojson"), "utf8");
-    return res.type("application/json").send(text);
+// Served joined so clients don't redo the join
+app.get("/api/v1/intersections", asyncRoute(async (_req, res) => {
+  const { outs, locations } = await fetchAllLocations();
+  if (!outs.some(Boolean)) return res.status(500).json({ error: "LOCATIONS_URL failed, and demo mode disabled" });
+  if (latestPayloads.size < providers.length) await pollAll();
+
+  const intersections = joinIntersections(locations);
+  res.json({
+    at: new Date(lastPollAt || Date.now()).toISOString(),
+    source: Object.fromEntries(providers.map((p, i) => [p.id, {
+      locations: outs[i]?.source || null,
+      states: latestPayloads.get(p.id)?.source || null,
+    }])),
+    count: intersections.length,
+    intersections,
+  });
+}));
+
+/* ---------- CORRIDORS ---------- */
+app.get("/api/corridors", (_req, res) => {
+  res.json({ corridors: corridors.list() });
+});
+
+const requireCorridorKey = requireApiKey(CORRIDORS_API_KEY);
+
+app.put("/api/corridors/:id", requireCorridorKey, express.json(), async (req, res, next) => {
+  try {
+    res.json(await corridors.put(req.params.id, req.body));
+  } catch (e) {
+    if (e instanceof CorridorError) return res.status(400).json({ error: e.message });
+    next(e);
   }
+});
 
-  res.status(500).json({ error: "LOCATIONS_URL failed, and demo mode disabled" });
+app.delete("/api/corridors/:id", requireCorridorKey, asyncRoute(async (req, res) => {
+  if (!(await corridors.remove(req.params.id))) return res.status(404).json({ error: `No corridor ${req.params.id}` });
+  res.status(204).end();
+}));
+
+/* ---------- WEBHOOK SUBSCRIPTIONS ---------- */
+// Secrets are only returned by POST (creation); the receiver verifies X-Webhook-Signature with it
+function requireSubscriptionKey(req, res, next) {
+  if (!SUBSCRIPTIONS_API_KEY) {
+    return res.status(404).json({ error: "Subscriptions API disabled (SUBSCRIPTIONS_API_KEY not set)" });
+  }
+  if (!sameKey(req.get("X-API-Key") || "", SUBSCRIPTIONS_API_KEY)) {
+    return res.status(401).json({ error: "Missing or invalid X-API-Key" });
+  }
+  next();
+}
+
+function findSubscription(req, res) {
+  const sub = webhooks.get(req.params.id);
+  if (!sub) res.status(404).json({ error: `No subscription ${req.params.id}` });
+  return sub;
+}
+
+app.use("/api/subscriptions", requireSubscriptionKey, express.json());
+
+app.get("/api/subscriptions", (_req, res) => {
+  res.json({ subscriptions: webhooks.list().map(publicSubscription) });
 });
 
-/* ---------- STATES ---------- */
-app.get("/api/states", async (_req, res) => {
-  lastStatesFallback = false;
+app.post("/api/subscriptions", async (req, res, next) => {
+  try {
+    res.status(201).json(await webhooks.create(req.body));
+  } catch (e) {
+    if (e instanceof SubscriptionError) return res.status(400).json({ error: e.message });
+    next(e);
+  }
+});
 
-  const remoteUrl = toAbs(STATES_URL);
-  const now = Date.now();
+app.get("/api/subscriptions/:id", (req, res) => {
+  const sub = findSubscription(req, res);
+  if (sub) res.json(publicSubscription(sub));
+});
 
-  if (remoteUrl && !shouldBackoff(statesNextTryAt)) {
-    const out = await tryRemote(remoteUrl, "states");
-    if (out.ok) {
-      onSuccess("states");
-      if (out.contentType === "application/json") {
-        cacheStates = { data: out.data, contentType: out.contentType, at: now };
-        return res.json(out.data);
-      }
-      cacheStates = { data: out.text, contentType: out.contentType, at: now };
-      return res.type(out.contentType).send(out.text);
-    }
-    console.warn(`[states] upstream failed (${out.status}): ${out.error}`);
-    onFail("states");
+app.put("/api/subscriptions/:id", async (req, res, next) => {
+  try {
+    const sub = await webhooks.update(req.params.id, req.body);
+    if (!sub) return res.status(404).json({ error: `No subscription ${req.params.id}` });
+    res.json(publicSubscription(sub));
+  } catch (e) {
+    if (e instanceof SubscriptionError) return res.status(400).json({ error: e.message });
+    next(e);
   }
+});
+
+app.delete("/api/subscriptions/:id", asyncRoute(async (req, res) => {
+  if (!(await webhooks.remove(req.params.id))) return res.status(404).json({ error: `No subscription ${req.params.id}` });
+  res.status(204).end();
+}));
 
-  // Serve cached states if we have any
-  if (cacheStates.data) {
-    res.setHeader("X-Cache", "hit-states");
-    return cacheStates.contentType === "application/json"
-      ? res.json(cacheStates.data)
-      : res.type(cacheStates.contentType).send(cacheStates.data);
+app.get("/api/subscriptions/:id/deliveries", (req, res) => {
+  if (findSubscription(req, res)) res.json({ deliveries: webhooks.deliveries(req.params.id) });
+});
+
+// Sends a signed "ping" event; the delivery shows up in the log like any other
+app.post("/api/subscriptions/:id/test", (req, res) => {
+  if (findSubscription(req, res)) res.status(202).json(webhooks.test(req.params.id));
+});
+
+/* ---------- EXPORT ---------- */
+// /api/export?format=geojson|csv|kml&bbox=minLon,minLat,maxLon,maxLat&lang=fi
+app.get("/api/export", asyncRoute(async (req, res) => {
+  const format = String(req.query.format || "geojson").toLowerCase();
+  const fmt = EXPORT_FORMATS[format];
+  if (!fmt) return res.status(400).json({ error: `Unknown format ${format} (use ${Object.keys(EXPORT_FORMATS).join(", ")})` });
+  const inBBox = req.query.bbox ? parseBBox(req.query.bbox) : () => true;
+  if (!inBBox) return res.status(400).json({ error: "Invalid bbox (use minLon,minLat,maxLon,maxLat)" });
+  const lang = req.query.lang === "fi" ? "fi" : "en";
+
+  const { outs, locations } = await fetchAllLocations();
+  if (!outs.some(Boolean)) return res.status(500).json({ error: "LOCATIONS_URL failed, and demo mode disabled" });
+  if (latestPayloads.size < providers.length) await pollAll();
+
+  const at = new Date(lastPollAt || Date.now()).toISOString();
+  const intersections = joinIntersections(locations).filter(inBBox);
+  const stamp = at.slice(0, 19).replace(/[-:]/g, "").replace("T", "-");
+  res.type(fmt.contentType);
+  res.setHeader("Content-Disposition", `attachment; filename="trafficlights-${stamp}.${fmt.ext}"`);
+  res.send(fmt.render(intersections, { at, lang }));
+}));
+
+/* ---------- DIAGNOSTICS ---------- */
+// What the adapters made of each feed: detected format, parsed/dropped counts with reasons,
+// ids that didn't join, and the head of the raw payload.
+const DIAG_MAX_IDS = 100;
+
+app.get("/api/diagnostics", asyncRoute(async (_req, res) => {
+  const { locations } = await fetchAllLocations();
+  if (latestPayloads.size < providers.length) await pollAll();
+  const locationIds = new Set(locations.map((l) => l.id));
+  const capped = (ids) => ({ count: ids.length, ids: ids.slice(0, DIAG_MAX_IDS) });
+
+  res.json({
+    at: new Date().toISOString(),
+    providers: providers.map((p) => ({
+      ...p.diagnostics(),
+      unmatchedStateIds: capped(
+        [...latestStates.values()].filter((s) => s.provider === p.id && !locationIds.has(s.id)).map((s) => s.id)
+      ),
+      locationsWithoutState: capped(
+        locations.filter((l) => l.provider === p.id && !latestStates.has(l.id)).map((l) => l.id)
+      ),
+    })),
+  });
+}));
+
+/* ---------- HISTORY ---------- */
+// Accepts epoch ms or anything Date.parse understands
+function parseTime(v, fallback) {
+  if (v === undefined || v === "") return fallback;
+  const n = /^\d+$/.test(String(v)) ? Number(v) : Date.parse(String(v));
+  return Number.isFinite(n) ? n : NaN;
+}
+
+const HISTORY_DEFAULT_LIMIT = 5000;
+const HISTORY_MAX_LIMIT = 50000;
+
+// /api/history?id=INT-1&from=2025-01-01T08:00:00Z&to=2025-01-01T08:30:00Z&limit=5000
+app.get("/api/history", asyncRoute(async (req, res) => {
+  if (!history) return res.status(404).json({ error: "History recording disabled (ENABLE_HISTORY=false)" });
+  const toMs = parseTime(req.query.to, Date.now());
+  const fromMs = parseTime(req.query.from, toMs - 60 * 60 * 1000);
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs) || fromMs > toMs) {
+    return res.status(400).json({ error: "Invalid from/to (use ISO time or epoch ms, from <= to)" });
   }
+  const limit = req.query.limit === undefined || req.query.limit === "" ? HISTORY_DEFAULT_LIMIT : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > HISTORY_MAX_LIMIT) {
+    return res.status(400).json({ error: `Invalid limit (use a whole number from 1 to ${HISTORY_MAX_LIMIT})` });
+  }
+  const id = req.query.id ? String(req.query.id) : undefined;
+  const out = await history.query({ id, fromMs, toMs, limit });
+  res.json({
+    id: id || null,
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    count: out.events.length,
+    truncated: out.truncated,
+    events: out.events,
+  });
+}));
 
-  // Demo fallback with gentle randomization
-  if (DEMO_CONFIGURED) {
-    lastStatesFallback = true;
-    res.setHeader("X-Demo-Fallback", "states");
-    const base = await readDemoJSON("sample-data/states.json");
-    const candidates = ["1","4","5","9","12","14","16","17","18","19","22","23"];
-    const randomized = base.map((s) => ({
-      ...s,
-      state: Math.random() < 0.25 ? candidates[Math.floor(Math.random() * candidates.length)] : s.state,
-    }));
-    return res.json(randomized);
+/* ---------- STATS ---------- */
+// Observed cycle length, category shares, longest red and transition rate per intersection
+app.get("/api/stats", (req, res) => {
+  const now = Date.now();
+  if (req.query.id) {
+    const one = stats.forIntersection(String(req.query.id), now);
+    if (!one) return res.status(404).json({ error: `No observations for ${req.query.id}` });
+    return res.json({ windowMs: STATS_WINDOW_MS, at: new Date(now).toISOString(), intersection: one });
   }
+  res.json({ windowMs: STATS_WINDOW_MS, at: new Date(now).toISOString(), intersections: stats.all(now) });
+});
+
+/* ---------- ALERTS ---------- */
+app.get("/api/alerts", (req, res) => {
+  const includeCleared = ["1", "true"].includes(String(req.query.all || "").toLowerCase());
+  res.json(alerts.list({ includeCleared }));
+});
 
-  res.status(500).json({ error: "STATES_URL failed, and demo mode disabled" });
+app.post("/api/alerts/:key/ack", requireApiKey(ALERTS_API_KEY), express.json(), (req, res) => {
+  const alert = alerts.acknowledge(req.params.key, req.body?.by);
+  if (!alert) return res.status(404).json({ error: `No active alert ${req.params.key}` });
+  broadcast("alerts", { raised: [], cleared: [], acknowledged: [alert] });
+  res.json(alert);
 });
 
 /* ---------- OPTIONAL: proxy ---------- */
-app.get("/api/proxy", async (req, res) => {
-  const p = (req.query.path || "").toString();
-  const url = toAbs(p);
-  if (!url) return res.status(400).json({ error: "Invalid path or base not set" });
-  const out = await tryRemote(url, "proxy");
-  if (!out.ok) return res.status(out.status || 502).send(out.text || out.error || "Proxy error");
+// Feed path relative to the provider base, for the default allowlist
+function feedPath(provider, kind) {
+  const url = provider.toAbs(provider[kind]);
+  if (!url || !provider.base) return null;
+  const base = new URL(`${provider.base}/`);
+  const u = new URL(url);
+  if (u.origin !== base.origin || !u.pathname.startsWith(base.pathname)) return null;
+  return `/${u.pathname.slice(base.pathname.length)}`;
+}
+
+const proxyGuard = createProxyGuard({
+  allow: PROXY_ALLOW.length
+    ? PROXY_ALLOW
+    : [...new Set(providers.flatMap((p) => [feedPath(p, "locations"), feedPath(p, "states")]).filter(Boolean))],
+  apiKey: PROXY_API_KEY,
+  ratePerMinute: PROXY_RATE_PER_MINUTE,
+  contentTypes: PROXY_CONTENT_TYPES,
+});
+setInterval(() => proxyGuard.sweep(), 60000).unref();
+
+const proxyBlocked = counter("trafficlights_proxy_blocked_total", "/api/proxy requests refused, by reason.");
+function blockProxy(req, res, { status, reason, error }) {
+  proxyBlocked.inc({ reason });
+  console.warn(`[proxy] blocked ${reason}: ${req.ip} ${JSON.stringify(String(req.query.path || ""))}`);
+  res.status(status).json({ error, reason });
+}
+
+// ?provider= picks whose base URL relative paths resolve against (default: first provider)
+app.get("/api/proxy", asyncRoute(async (req, res) => {
+  if (!PROXY_ENABLED) return res.status(404).json({ error: "Proxy disabled (ENABLE_PROXY=false)" });
+  const provider = req.query.provider ? providerById.get(String(req.query.provider)) : providers[0];
+  if (!provider) return res.status(400).json({ error: `Unknown provider ${req.query.provider}` });
+  const verdict = proxyGuard.check({
+    client: req.ip,
+    key: req.get("X-API-Key"),
+    path: (req.query.path || "").toString(),
+    base: provider.base,
+  });
+  if (!verdict.ok) return blockProxy(req, res, verdict);
+
+  const out = await tryRemote(verdict.url, {
+    kind: "proxy",
+    timeoutMs: provider.timeoutMs,
+    labels: { provider: provider.id, feed: "proxy" },
+    maxBytes: PROXY_MAX_BYTES,
+  });
+  if (out.tooLarge) return blockProxy(req, res, { status: 502, reason: "too-large", error: out.error });
+  if (!out.ok) return res.status(out.status || 502).type("text/plain").send(out.text || out.error || "Proxy error");
+  if (!proxyGuard.contentTypeAllowed(out.contentType)) {
+    return blockProxy(req, res, {
+      status: 502, reason: "content-type", error: `Upstream content type ${out.contentType} is not proxied`,
+    });
+  }
   if (out.contentType === "application/json") return res.json(out.data);
   res.type(out.contentType).send(out.text);
-});
+}));
 
 /* ---------- health ---------- */
-app.get("/health", async (_req, res) => {
-  const out = {};
-  if (LOCATIONS_URL) {
-    const r = await tryRemote(toAbs(LOCATIONS_URL), "locations");
-    out.locations = { ok: r.ok, status: r.status || 200 };
-  } else out.locations = { ok: false, status: 400 };
-
-  if (STATES_URL) {
-    const r = await tryRemote(toAbs(STATES_URL), "states");
-    out.states = { ok: r.ok, status: r.status || 200 };
-  } else out.states = { ok: false, status: 400 };
-
-  res.json({ results: out });
+async function checkFeed(provider, kind) {
+  const url = provider.toAbs(provider[kind]);
+  if (!url) return { ok: false, status: 400 };
+  const r = await tryRemote(url, {
+    kind: `${provider.id}/${kind}`,
+    timeoutMs: provider.timeoutMs,
+    labels: { provider: provider.id, feed: `health-${kind}` },
+  });
+  return { ok: r.ok, status: r.status || 200 };
+}
+
+// Last probe result, shared by all callers until it is HEALTH_CACHE_MS old; concurrent
+// calls wait for the same in-flight probe
+let healthProbe = null;
+let healthCheckedAt = 0;
+function probeHealth() {
+  if (healthProbe && Date.now() - healthCheckedAt < HEALTH_CACHE_MS) return healthProbe;
+  healthCheckedAt = Date.now();
+  healthProbe = Promise.all(providers.map(async (p) => ({
+    id: p.id,
+    locations: await checkFeed(p, "locations"),
+    states: await checkFeed(p, "states"),
+  })));
+  return healthProbe;
+}
+
+app.get("/health", asyncRoute(async (_req, res) => {
+  const perProvider = await probeHealth();
+  // `results` keeps the single-provider shape for existing checks
+  res.json({
+    results: { locations: perProvider[0].locations, states: perProvider[0].states },
+    providers: perProvider,
+    checkedAt: new Date(healthCheckedAt).toISOString(),
+  });
+}));
+
+/* ---------- METRICS ---------- */
+gauge("trafficlights_cached_states_age_seconds", "Age of each provider's cached states payload.", () =>
+  providers
+    .filter((p) => p.feeds.states.cache)
+    .map((p) => ({ labels: { provider: p.id }, value: (Date.now() - p.feeds.states.cache.at) / 1000 }))
+);
+gauge("trafficlights_states_source", "1 for the source each provider's latest states came from.", () =>
+  providers.flatMap((p) => ["remote", "cache", "demo"].map((source) => ({
+    labels: { provider: p.id, source },
+    value: latestPayloads.get(p.id)?.source === source ? 1 : 0,
+  })))
+);
+gauge("trafficlights_intersections", "Intersections with a state, by summary GRINT category.", () => {
+  const counts = Object.fromEntries([...CATEGORIES, "mixed"].map((c) => [c, 0]));
+  for (const entry of latestStates.values()) counts[GRINT.summarize(entry.groups)]++;
+  return Object.entries(counts).map(([category, value]) => ({ labels: { category }, value }));
+});
+gauge("trafficlights_stream_clients", "Connected /api/stream clients.", () => [{ labels: {}, value: streamClients.size }]);
+gauge("trafficlights_active_alerts", "Active alerts by type.", () => {
+  const counts = {};
+  for (const a of alerts.list().active) counts[a.type] = (counts[a.type] || 0) + 1;
+  return Object.entries(counts).map(([type, value]) => ({ labels: { type }, value }));
+});
+
+app.get("/metrics", (_req, res) => {
+  res.type("text/plain; version=0.0.4; charset=utf-8").send(renderMetrics());
+});
+
+/* ---------- EMBED ---------- */
+// One intersection or a short list, without the map: /embed?id=… or /embed?ids=a,b,c
+app.get("/embed", (_req, res) => {
+  setEmbedHeaders(res);
+  res.setHeader("Cache-Control", "no-store, must-revalidate");
+  res.sendFile(path.join(__dirname, "public", "embed.html"));
 });
 
 app.get("/", (_req, res) => {
@@ -265,8 +876,13 @@ app.get("/", (_req, res) => {
 });
 
 app.listen(PORT, () => {
+  startPoller();
   console.log(`✅ Server running on http://localhost:${PORT}`);
   console.log(`⚙️  Demo configured: ${DEMO_CONFIGURED}`);
-  if (!BASE) console.log("ℹ️  TRAFFIC_API_BASE not set (demo/relative-only).");
-  if (!LOCATIONS_URL || !STATES_URL) console.log("ℹ️  LOCATIONS_URL or STATES_URL missing — will fallback to demo when needed.");
+  if (capture) console.log(`🎞️  Upstream ${capture.mode}: ${path.relative(__dirname, capture.file)}`);
+  for (const p of providers) {
+    console.log(`🔌 Provider ${p.id}: ${p.base || "(no base)"} every ${p.pollIntervalMs} ms, ids "${p.idPrefix}…"`);
+    if (!p.base && !/^https?:/i.test(p.locations)) console.log(`ℹ️  ${p.id}: base URL not set (demo/relative-only).`);
+    if (!p.locations || !p.states) console.log(`ℹ️  ${p.id}: locations or states URL missing${p.demo ? " — will fallback to demo when needed" : ""}.`);
+  }
 });